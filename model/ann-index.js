@@ -0,0 +1,231 @@
+// ann-index.js - Common entry point for the approximate nearest neighbor indexes
+//
+// Index objects carry a `type` ('hnsw' or 'ivf'); the predictor only talks to this module,
+// so it doesn't need to know which kind of index it was handed.
+
+import fs from 'fs-extra';
+import { dot } from './utils.js';
+import { vectorFor } from './fusion.js';
+import { buildHnswIndex, searchHnsw, saveHnswIndex, restoreHnswIndex } from './hnsw-index.js';
+import { buildIvfIndex, searchIvf, saveIvfIndex, restoreIvfIndex, indexVector } from './ivf-index.js';
+
+// filtered searches with at most this many matching items are answered by an exact scan
+// of the matches, which is both cheaper and exact at that size
+const EXACT_FILTER_LIMIT = 2048;
+
+const INDEX_TYPES = {
+  hnsw: { build: buildHnswIndex, search: searchHnsw, save: saveHnswIndex, restore: restoreHnswIndex },
+  ivf: { build: buildIvfIndex, search: searchIvf, save: saveIvfIndex, restore: restoreIvfIndex }
+};
+
+function indexType(type) {
+  const impl = INDEX_TYPES[type];
+  if (!impl) throw new Error(`Unknown index type: ${type}. Available: ${Object.keys(INDEX_TYPES).join(', ')}`);
+  return impl;
+}
+
+/** buildIndex(type, rows, options) -> see buildHnswIndex / buildIvfIndex for options */
+export function buildIndex(type, rows, options = {}) {
+  return indexType(type).build(rows, options);
+}
+
+/** widenSearch -> per-query options scaled by `factor`, so the index visits more candidates */
+function widenSearch(index, options, factor) {
+  if (index.type === 'hnsw') {
+    return { ...options, efSearch: Math.ceil((options.efSearch ?? index.params.efSearch) * factor) };
+  }
+  return {
+    ...options,
+    nprobe: Math.ceil((options.nprobe ?? index.params.nprobe) * factor),
+    rerank: Math.ceil((options.rerank ?? index.params.rerank) * factor)
+  };
+}
+
+/** exactSearch -> top-k of the given index nodes by exact dot product */
+function exactSearch(index, q, k, nodes) {
+  return nodes
+    .map(node => ({ row: index.rows[node], score: dot(q, indexVector(index, node)) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+/**
+ * searchIndex(index, q, k=5, options)
+ * - returns up to k [{ row, score }] best first; options are per-query overrides
+ *   (efSearch for HNSW, nprobe/rerank for IVF)
+ * - options.filter: row => boolean; only matching rows are returned. Selective filters
+ *   are answered by an exact scan of the matches; otherwise the index is asked for more
+ *   neighbors (and searches wider) until k of them match
+ */
+export function searchIndex(index, q, k = 5, options = {}) {
+  const { filter, ...searchOptions } = options;
+  const search = indexType(index.type).search;
+  if (!filter) return search(index, q, k, searchOptions);
+
+  const matches = [];
+  index.rows.forEach((row, node) => { if (filter(row)) matches.push(node); });
+  if (matches.length <= Math.max(k, EXACT_FILTER_LIMIT)) return exactSearch(index, q, k, matches);
+
+  // expect 1 in (n / matches) neighbors to pass the filter, with some headroom
+  let factor = 1.5 * index.rows.length / matches.length;
+  for (;;) {
+    const fetch = Math.ceil(k * factor);
+    const found = search(index, q, fetch, widenSearch(index, searchOptions, factor)).filter(r => filter(r.row));
+    if (found.length >= k) return found.slice(0, k);
+    if (fetch >= index.rows.length) return exactSearch(index, q, k, matches);
+    factor *= 2;
+  }
+}
+
+export function saveIndex(index, indexPath) {
+  return indexType(index.type).save(index, indexPath);
+}
+
+/**
+ * loadIndex(indexPath, embeddingsObj) -> any saved index, type taken from the file
+ * - reattaches the index to the rows of the embeddings it was built from; throws if the
+ *   embeddings hold different ids or dimensions
+ * - embeddings loaded with vectorsOnDisk need an IVF index with PQ codes, which scores
+ *   candidates from the codes and reads only the ones it reranks
+ */
+export async function loadIndex(indexPath, embeddingsObj) {
+  const saved = await fs.readJSON(indexPath);
+  const index = indexType(saved.format).restore(saved, indexPath);
+  return { ...index, ...attachRows(saved, embeddingsObj, indexPath) };
+}
+
+/** attachRows -> { rows, vectors } in the saved index's node order, checked against it */
+function attachRows(saved, embeddingsObj, indexPath) {
+  if (saved.count !== embeddingsObj.rows.length) {
+    throw new Error(`${indexPath} indexes ${saved.count} items but the embeddings hold ${embeddingsObj.rows.length}; rebuild the index`);
+  }
+
+  if (embeddingsObj.vectorsOnDisk && !saved.pq) {
+    throw new Error(`${indexPath} holds no PQ codes, so it can't search embeddings whose vectors stay on disk; ` +
+      'build an IVF index with --pq-m or load the vectors into memory');
+  }
+
+  const rows = saved.ids.map(id => {
+    const row = embeddingsObj.byId.get(id);
+    if (!row) throw new Error(`${indexPath} references id ${id}, which is not in the embeddings; rebuild the index`);
+    return row;
+  });
+  // with the vectors on disk, only the first row is read to check the dimension
+  const vectors = embeddingsObj.vectorsOnDisk ? null : rows.map(r => vectorFor(r, saved.space));
+  const dim = rows.length ? (vectors?.[0] ?? vectorFor(rows[0], saved.space)).length : saved.dim;
+  if (dim !== saved.dim) {
+    throw new Error(`${indexPath} was built on dimension ${saved.dim}, embeddings have ${dim}`);
+  }
+  return { rows, vectors };
+}
+
+/** searchParams -> the query-time parameters a search with `options` actually uses */
+function searchParams(index, k, options) {
+  if (index.type === 'hnsw') {
+    return { efSearch: Math.max(options.efSearch ?? index.params.efSearch, k) };
+  }
+  return {
+    nprobe: Math.min(options.nprobe ?? index.params.nprobe, index.centroids.length),
+    rerank: index.pq ? options.rerank ?? index.params.rerank : 0
+  };
+}
+
+/**
+ * measureRecall(index, { k=10, queries=200, ...searchOptions })
+ * - uses every n-th indexed item as a query and compares the index's top-k against an
+ *   exact linear scan; returns { k, queries, search, recall, exact_ms, index_ms } where
+ *   recall is the mean fraction of the exact top-k the index also returned
+ */
+export function measureRecall(index, { k = 10, queries = 200, ...options } = {}) {
+  const n = index.rows.length;
+  const step = Math.max(1, Math.floor(n / queries));
+  let hits = 0, total = 0, exactMs = 0, indexMs = 0;
+
+  for (let i = 0; i < n && total < queries; i += step) {
+    const q = indexVector(index, i);
+
+    let start = performance.now();
+    const exact = index.rows
+      .map((row, node) => ({ node, score: dot(q, indexVector(index, node)) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+    exactMs += performance.now() - start;
+
+    start = performance.now();
+    const approx = searchIndex(index, q, k, options);
+    indexMs += performance.now() - start;
+
+    const found = new Set(approx.map(r => r.row.id));
+    hits += exact.filter(e => found.has(index.ids[e.node])).length;
+    total++;
+  }
+
+  return {
+    k,
+    queries: total,
+    search: searchParams(index, k, options),
+    recall: total ? hits / (total * Math.min(k, n)) : 0,
+    exact_ms: total ? exactMs / total : 0,
+    index_ms: total ? indexMs / total : 0
+  };
+}
+
+function formatParams(params) {
+  return Object.entries(params).map(([key, v]) => `${key}=${typeof v === 'object' && v ? JSON.stringify(v) : v}`).join(', ');
+}
+
+// If run directly: build an index or measure its recall
+if (process.argv[1].endsWith('ann-index.js')) {
+  (async () => {
+    const args = process.argv.slice(2);
+    const takeOption = (name, parse) => {
+      const idx = args.indexOf(name);
+      return idx >= 0 ? parse(args.splice(idx, 2)[1]) : undefined;
+    };
+    const pqM = takeOption('--pq-m', Number);
+    const pqBits = takeOption('--pq-bits', Number);
+    const options = {
+      space: takeOption('--space', v => v),
+      // hnsw
+      M: takeOption('--M', Number),
+      efConstruction: takeOption('--ef-construction', Number),
+      efSearch: takeOption('--ef-search', Number),
+      // ivf
+      nlist: takeOption('--nlist', Number),
+      nprobe: takeOption('--nprobe', Number),
+      rerank: takeOption('--rerank', Number),
+      pq: pqM ? { m: pqM, bits: pqBits ?? 8 } : undefined
+    };
+    const k = takeOption('--k', Number) ?? 10;
+    const defined = Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined));
+
+    const [cmd, ...rest] = args;
+    const [type, embPath, indexPath] = cmd === 'build' ? rest : [null, ...rest];
+    if (!['build', 'recall'].includes(cmd) || !embPath || !indexPath) {
+      console.error(
+        'Usage: node ann-index.js build hnsw <embeddings> <index.json> [--M 16] [--ef-construction 200] [--ef-search 50] [--space image]\n' +
+        '       node ann-index.js build ivf <embeddings> <index.json> [--nlist N] [--nprobe 8] [--pq-m 48 [--pq-bits 8]] [--rerank 50] [--space image]\n' +
+        '       node ann-index.js recall <embeddings> <index.json> [--k 10] [--ef-search 50 | --nprobe 8 --rerank 50]'
+      );
+      process.exit(2);
+    }
+
+    // loaded lazily: predictor.js imports this module
+    const { loadEmbeddings } = await import('./predictor.js');
+    const emb = await loadEmbeddings(embPath);
+
+    let index;
+    if (cmd === 'build') {
+      const start = Date.now();
+      index = buildIndex(type, emb.rows, defined);
+      await saveIndex(index, indexPath);
+      console.log(`Built ${type} index over ${index.ids.length} items (${index.space}; ${formatParams(index.params)}) in ${Date.now() - start} ms -> ${indexPath}`);
+    } else {
+      index = await loadIndex(indexPath, emb);
+    }
+
+    const report = measureRecall(index, { k, ...defined });
+    console.log(`recall@${report.k} = ${report.recall.toFixed(4)} over ${report.queries} queries (${formatParams(report.search)}); ` +
+      `${report.index_ms.toFixed(2)} ms/query vs ${report.exact_ms.toFixed(2)} ms exact`);
+  })().catch(e => { console.error(e); process.exit(1); });
+}
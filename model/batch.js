@@ -0,0 +1,137 @@
+// batch.js - Input listing and streamed output for batch predictions
+//
+// `node predictor.js batch <dir|glob>` predicts attributes and neighbors for a whole
+// folder of images with one loaded model, and writes one record per image as JSONL or CSV
+// while the batch runs.
+
+import fs from 'fs-extra';
+import path from 'path';
+import { csvField } from './rejects.js';
+import { ATTRIBUTE_FIELDS, predictAttributes } from './predictor.js';
+
+export const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.bmp', '.gif'];
+
+const GLOB_CHARS = /[*?[{]/;
+
+/** globToRegExp('shoes/**\/*.{jpg,png}') -> RegExp over '/'-separated relative paths */
+function globToRegExp(pattern) {
+  let re = '', braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      // '**/' matches any number of directories, including none
+      if (pattern[i + 2] === '/') { re += '(?:.*/)?'; i += 2; } else { re += '.*'; i++; }
+    } else if (c === '*') re += '[^/]*';
+    else if (c === '?') re += '[^/]';
+    else if (c === '[') {
+      const end = pattern.indexOf(']', i);
+      if (end < 0) re += '\\[';
+      else { re += pattern.slice(i, end + 1).replace('[!', '[^'); i = end; }
+    } else if (c === '{') { re += '(?:'; braces++; }
+    else if (c === '}' && braces) { re += ')'; braces--; }
+    else if (c === ',' && braces) re += '|';
+    else re += c.replace(/[.+^${}()|\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * listImages(pattern)
+ * - a directory: the image files directly inside it; a glob ('photos/**\/*.{jpg,png}'): every
+ *   matching file; a plain file path: that file
+ * - returns sorted paths; throws when nothing matches
+ */
+export async function listImages(pattern) {
+  let files;
+  if (!GLOB_CHARS.test(pattern)) {
+    const stat = await fs.stat(pattern);
+    if (!stat.isDirectory()) return [pattern];
+    files = (await fs.readdir(pattern, { withFileTypes: true }))
+      .filter(e => e.isFile() && IMAGE_EXTENSIONS.includes(path.extname(e.name).toLowerCase()))
+      .map(e => path.join(pattern, e.name));
+  } else {
+    // walk from the deepest directory without wildcards
+    const parts = pattern.split(/[\\/]/);
+    const firstGlob = parts.findIndex(p => GLOB_CHARS.test(p));
+    const base = parts.slice(0, firstGlob).join('/') || '.';
+    const matcher = globToRegExp(parts.slice(firstGlob).join('/'));
+    files = (await fs.readdir(base, { recursive: true, withFileTypes: true }))
+      .filter(e => e.isFile())
+      .map(e => path.join(e.parentPath ?? e.path, e.name))
+      .filter(f => matcher.test(path.relative(base, f).split(path.sep).join('/')));
+  }
+  if (!files.length) throw new Error(`No images match ${pattern}`);
+  return files.sort();
+}
+
+/**
+ * createBatchWriter(outPath, fields, format)
+ * - outPath: file to write, or null for stdout; format: 'jsonl' or 'csv' (default: from the
+ *   extension of outPath, jsonl for stdout)
+ * - records: { image, ...attributes, confidence: { field: p }, neighbors: [ids], error };
+ *   CSV gets one column per field, <field>_confidence, neighbors joined with ';' and error
+ * - returns { write(record), close() }; records are written as they arrive
+ */
+export function createBatchWriter(outPath, fields, format = null) {
+  const kind = format ?? (outPath && path.extname(outPath) === '.csv' ? 'csv' : 'jsonl');
+  if (kind !== 'jsonl' && kind !== 'csv') throw new Error(`Unknown batch output format: ${kind}. Use jsonl or csv`);
+  if (outPath) fs.ensureDirSync(path.dirname(path.resolve(outPath)));
+  const stream = outPath ? fs.createWriteStream(outPath) : process.stdout;
+
+  // respect backpressure so a large batch doesn't buffer its whole output in memory
+  const emit = line => new Promise((resolve, reject) => {
+    if (stream.write(line + '\n')) return resolve();
+    // whichever fires first removes the other, so listeners don't pile up over a long batch
+    const onDrain = () => { stream.off('error', onError); resolve(); };
+    const onError = err => { stream.off('drain', onDrain); reject(err); };
+    stream.once('drain', onDrain).once('error', onError);
+  });
+
+  const columns = ['image', ...fields, ...fields.map(f => `${f}_confidence`), 'neighbors', 'error'];
+  let started = false;
+  return {
+    async write(record) {
+      if (kind === 'jsonl') return emit(JSON.stringify(record));
+      if (!started) { started = true; await emit(columns.join(',')); }
+      const flat = {
+        ...record,
+        ...Object.fromEntries(fields.map(f => [`${f}_confidence`, record.confidence?.[f]])),
+        neighbors: record.neighbors?.join(';')
+      };
+      return emit(columns.map(c => csvField(flat[c])).join(','));
+    },
+    close() {
+      if (kind === 'csv' && !started) stream.write(columns.join(',') + '\n');
+      if (!outPath) return Promise.resolve();
+      return new Promise((resolve, reject) => stream.end(err => (err ? reject(err) : resolve())));
+    }
+  };
+}
+
+/** attributeRecord -> one flat record per query, ready to merge into a catalog row */
+function attributeRecord(query, res) {
+  return {
+    ...query,
+    ...res.attributes,
+    confidence: res.confidence,
+    ...(res.hierarchy?.corrected ? { hierarchy_corrections: res.hierarchy.changes } : {}),
+    neighbors: res.topK.map(t => t.id)
+  };
+}
+
+/**
+ * predictBatch(imagePaths, embeddingsObj, fields=ATTRIBUTE_FIELDS, k=10, options={})
+ * - async generator over { image, ...attributes, confidence, neighbors } records, one per
+ *   image in order; the model is loaded once and reused for every image
+ * - an image that can't be read or embedded yields { image, error } and the batch goes on
+ * - options: as for predictAttributes
+ */
+export async function* predictBatch(imagePaths, embeddingsObj, fields = ATTRIBUTE_FIELDS, k = 10, options = {}) {
+  for (const image of imagePaths) {
+    try {
+      yield attributeRecord({ image }, await predictAttributes({ image }, embeddingsObj, fields, k, options));
+    } catch (err) {
+      yield { image, error: err.message };
+    }
+  }
+}
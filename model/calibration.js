@@ -0,0 +1,383 @@
+// calibration.js - Calibrated confidence for k-NN predictions
+//
+// A vote share of 0.8 doesn't mean the label is right 80% of the time: it depends on k, the
+// voting strategy, the field and how close the neighbors are. Calibration maps two features
+// of a prediction, the winning label's vote share and the similarity of its nearest
+// supporting neighbor, to the probability that the label is correct, as measured on a
+// held-out split of the catalog:
+//
+//   temperature  sigmoid(a * logit(share) + w * similarity + b), i.e. temperature scaling
+//                of the vote share (a = 1/T) with a similarity term, fitted by log loss
+//   isotonic     a monotone step function of share * similarity (pool adjacent violators)
+//
+// A field's samples are split (seeded) into a part the fit is trained on and an evaluation
+// part both confidences are scored on; a fit that is worse than the raw vote share there is
+// discarded, and the field keeps the vote share as its confidence (method 'share').
+//
+// Calibrations are stored next to the embeddings as <file>.calibration.json and picked up
+// by loadEmbeddings.
+
+import fs from 'fs-extra';
+import { seededRandom, votingSettings } from './utils.js';
+import { ATTRIBUTE_FIELDS, loadEmbeddings, predictAttributes } from './predictor.js';
+
+export const CALIBRATION_VERSION = 2;
+
+export const CALIBRATION_METHODS = ['temperature', 'isotonic'];
+
+// label returned instead of a guess when the confidence is below the abstention threshold
+export const UNCERTAIN = 'uncertain';
+
+// keeps logit(share) finite for unanimous and single votes
+const SHARE_EPSILON = 1e-3;
+
+// L2 penalty on the temperature weights, so perfectly separable samples still converge
+const RIDGE = 1e-3;
+
+const ECE_BINS = 10;
+
+// share of a field's samples kept out of the fit to score it
+const EVAL_FRACTION = 0.3;
+
+/** calibrationPathFor('out/embeddings.bin') -> 'out/embeddings.bin.calibration.json', like manifestPathFor */
+export function calibrationPathFor(embPath) {
+  return `${embPath}.calibration.json`;
+}
+
+/**
+ * calibrationFeatures(prediction, topK, field) -> { share, similarity }
+ * - share: the vote's probability for its label; similarity: the highest score among the
+ *   neighbors carrying that label (0 when nothing voted)
+ */
+export function calibrationFeatures(prediction, topK, field) {
+  let similarity = 0;
+  for (const t of topK) {
+    if (t.metadata[field] === prediction.label) similarity = Math.max(similarity, t.score);
+  }
+  return { share: prediction.probability ?? 0, similarity };
+}
+
+function logit(p) {
+  const q = Math.min(1 - SHARE_EPSILON, Math.max(SHARE_EPSILON, p));
+  return Math.log(q / (1 - q));
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+/** solve3 -> x with A x = y for a 3x3 system (Gaussian elimination with pivoting) */
+function solve3(A, y) {
+  const m = A.map((row, i) => [...row, y[i]]);
+  for (let c = 0; c < 3; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < 3; r++) if (Math.abs(m[r][c]) > Math.abs(m[pivot][c])) pivot = r;
+    [m[c], m[pivot]] = [m[pivot], m[c]];
+    for (let r = c + 1; r < 3; r++) {
+      const f = m[r][c] / m[c][c];
+      for (let j = c; j < 4; j++) m[r][j] -= f * m[c][j];
+    }
+  }
+  const x = [0, 0, 0];
+  for (let r = 2; r >= 0; r--) {
+    let s = m[r][3];
+    for (let j = r + 1; j < 3; j++) s -= m[r][j] * x[j];
+    x[r] = s / m[r][r];
+  }
+  return x;
+}
+
+/**
+ * fitTemperature(samples) -> { a, w, b }
+ * - samples: [{ share, similarity, correct }]; logistic regression on
+ *   [logit(share), similarity, 1] by Newton's method, halving steps that don't lower the
+ *   (penalized) log loss
+ */
+export function fitTemperature(samples, iterations = 25) {
+  const X = samples.map(s => [logit(s.share), s.similarity, 1]);
+  const y = samples.map(s => (s.correct ? 1 : 0));
+  const loss = t => X.reduce((sum, x, i) => {
+    const z = t[0] * x[0] + t[1] * x[1] + t[2] * x[2];
+    // log(1 + e^z) - y z, written to stay finite for large |z|
+    return sum + Math.max(z, 0) + Math.log1p(Math.exp(-Math.abs(z))) - y[i] * z;
+  }, 0) + RIDGE / 2 * ((t[0] - 1) ** 2 + t[1] ** 2);
+  let theta = [1, 0, 0];
+  let current = loss(theta);
+
+  for (let it = 0; it < iterations; it++) {
+    const grad = [0, 0, 0];
+    const H = [[RIDGE, 0, 0], [0, RIDGE, 0], [0, 0, 0]];
+    X.forEach((x, i) => {
+      const p = sigmoid(theta[0] * x[0] + theta[1] * x[1] + theta[2] * x[2]);
+      const h = p * (1 - p);
+      for (let r = 0; r < 3; r++) {
+        grad[r] += (p - y[i]) * x[r];
+        for (let c = 0; c < 3; c++) H[r][c] += h * x[r] * x[c];
+      }
+    });
+    grad[0] += RIDGE * (theta[0] - 1);
+    grad[1] += RIDGE * theta[1];
+    const step = solve3(H, grad);
+    if (step.some(v => !Number.isFinite(v))) break;
+    let scale = 1, next, nextLoss;
+    for (let halvings = 0; halvings < 30; halvings++, scale /= 2) {
+      next = theta.map((t, i) => t - scale * step[i]);
+      nextLoss = loss(next);
+      if (nextLoss <= current) break;
+    }
+    if (!(nextLoss <= current)) break;
+    theta = next;
+    const moved = scale * Math.max(...step.map(Math.abs));
+    if (current - nextLoss < 1e-10 && moved < 1e-8) break;
+    current = nextLoss;
+  }
+  return { a: theta[0], w: theta[1], b: theta[2] };
+}
+
+/**
+ * fitIsotonic(samples) -> { lo: [...], hi: [...], y: [...] }
+ * - non-decreasing fit of correctness against share * similarity; each pooled block
+ *   covers scores lo..hi and predicts its accuracy y
+ */
+export function fitIsotonic(samples) {
+  const sorted = samples
+    .map(s => ({ x: isotonicScore(s), y: s.correct ? 1 : 0 }))
+    .sort((a, b) => a.x - b.x);
+
+  // each block: { lo, hi, sumY, n }; merge while the previous block's mean is higher, and
+  // always merge equal scores so every score maps to exactly one block
+  const blocks = [];
+  for (const { x, y } of sorted) {
+    blocks.push({ lo: x, hi: x, sumY: y, n: 1 });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1], prev = blocks[blocks.length - 2];
+      if (prev.sumY / prev.n < last.sumY / last.n && prev.hi < last.lo) break;
+      blocks.pop();
+      prev.hi = last.hi; prev.sumY += last.sumY; prev.n += last.n;
+    }
+  }
+  return { lo: blocks.map(b => b.lo), hi: blocks.map(b => b.hi), y: blocks.map(b => b.sumY / b.n) };
+}
+
+function isotonicScore({ share, similarity }) {
+  return share * Math.max(0, similarity);
+}
+
+/**
+ * stepValue -> accuracy of the block containing x; between two blocks, the lower one's
+ * (the curve only steps up at a block's first score), flat beyond the ends
+ */
+function stepValue({ lo, y }, x) {
+  if (x < lo[0]) return y[0];
+  let a = 0, b = lo.length - 1;
+  // last block whose first score is <= x
+  while (a < b) {
+    const mid = (a + b + 1) >> 1;
+    if (lo[mid] <= x) a = mid; else b = mid - 1;
+  }
+  return y[a];
+}
+
+/**
+ * calibratedConfidence(fieldCalibration, features) -> probability the label is correct
+ * - fieldCalibration: { method, params } as stored by fitFieldCalibration
+ */
+export function calibratedConfidence({ method, params }, features) {
+  if (method === 'share') return features.share;
+  if (method === 'temperature') {
+    return sigmoid(params.a * logit(features.share) + params.w * features.similarity + params.b);
+  }
+  return stepValue(params, isotonicScore(features));
+}
+
+/** expectedCalibrationError(confidences, correct) -> mean |accuracy - confidence| over 10 bins */
+export function expectedCalibrationError(confidences, correct) {
+  const bins = Array.from({ length: ECE_BINS }, () => ({ conf: 0, acc: 0, n: 0 }));
+  confidences.forEach((c, i) => {
+    const bin = bins[Math.min(ECE_BINS - 1, Math.floor(c * ECE_BINS))];
+    bin.conf += c; bin.acc += correct[i] ? 1 : 0; bin.n++;
+  });
+  return bins.reduce((e, b) => e + (b.n ? Math.abs(b.acc - b.conf) : 0), 0) / (confidences.length || 1);
+}
+
+/**
+ * fitFieldCalibration(samples, method='isotonic', { seed=42 })
+ * - samples: [{ share, similarity, correct }] from held-out predictions of one field
+ * - a seeded 30% of the samples is kept out of the fit; ece_before (raw vote share) and
+ *   ece_after (calibrated) are both measured on that part, so a fit that merely memorizes
+ *   its own samples doesn't look calibrated
+ * - returns { method, params, samples, eval_samples, accuracy, ece_before, ece_after };
+ *   when the fit doesn't reduce the error, method is 'share' (the vote share is kept,
+ *   ece_after = ece_before) and `rejected` names the method tried
+ */
+export function fitFieldCalibration(samples, method = 'isotonic', { seed = 42 } = {}) {
+  if (!CALIBRATION_METHODS.includes(method)) {
+    throw new Error(`Unknown calibration method: ${method}. Available: ${CALIBRATION_METHODS.join(', ')}`);
+  }
+  if (samples.length < 2) throw new Error('Cannot fit and evaluate a calibration with fewer than 2 samples');
+
+  const shuffled = samples.slice();
+  const random = seededRandom(seed);
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  const evalCount = Math.min(shuffled.length - 1, Math.max(1, Math.round(shuffled.length * EVAL_FRACTION)));
+  const evaluation = shuffled.slice(0, evalCount);
+  const training = shuffled.slice(evalCount);
+
+  const params = method === 'temperature' ? fitTemperature(training) : fitIsotonic(training);
+  const correct = evaluation.map(s => s.correct);
+  const calibrated = evaluation.map(s => calibratedConfidence({ method, params }, s));
+  const summary = {
+    samples: samples.length,
+    eval_samples: evaluation.length,
+    accuracy: samples.filter(s => s.correct).length / samples.length,
+    ece_before: expectedCalibrationError(evaluation.map(s => s.share), correct),
+    ece_after: expectedCalibrationError(calibrated, correct)
+  };
+  if (summary.ece_after > summary.ece_before) {
+    return { method: 'share', params: null, rejected: method, ...summary, ece_after: summary.ece_before };
+  }
+  return { method, params, ...summary };
+}
+
+/**
+ * writeCalibration(embPath, calibration)
+ * - writes <file>.calibration.json next to the embeddings via a temporary file + rename
+ */
+export async function writeCalibration(embPath, calibration) {
+  const calibrationPath = calibrationPathFor(embPath);
+  const tmpPath = `${calibrationPath}.tmp-${process.pid}`;
+  await fs.writeJSON(tmpPath, { calibration_version: CALIBRATION_VERSION, ...calibration }, { spaces: 2 });
+  await fs.rename(tmpPath, calibrationPath);
+  return calibrationPath;
+}
+
+/**
+ * calibrationApplies(calibration, { k, voting, space }) -> true when predictions are made
+ * with the k, voting and space the calibration was fitted with; the vote share it maps
+ * depends on all three, so under other settings its confidences mean nothing
+ */
+export function calibrationApplies(calibration, { k, voting, space = 'image' }) {
+  return calibration.k === k &&
+    calibration.space === space &&
+    JSON.stringify(votingSettings(calibration.voting)) === JSON.stringify(votingSettings(voting));
+}
+
+/**
+ * readCalibration(embPath, manifest) -> the calibration next to embPath, or null
+ * - throws when it was fitted on embeddings from a different model
+ */
+export async function readCalibration(embPath, manifest = null) {
+  const calibrationPath = calibrationPathFor(embPath);
+  if (!(await fs.pathExists(calibrationPath))) return null;
+  const calibration = await fs.readJSON(calibrationPath);
+  if (calibration.calibration_version !== CALIBRATION_VERSION) {
+    throw new Error(`Unsupported calibration version ${calibration.calibration_version} in ${calibrationPath}`);
+  }
+  if (manifest?.model_id && calibration.model_id && manifest.model_id !== calibration.model_id) {
+    throw new Error(`${calibrationPath} was fitted on ${calibration.model_id} embeddings, not ${manifest.model_id}; refit it`);
+  }
+  return calibration;
+}
+
+/**
+ * fitCalibration(embeddingsObj, options={})
+ * - fits calibrated confidence per field (see fitFieldCalibration) on a held-out split: a
+ *   random `holdout` fraction of the catalog is set aside, and up to `samples` of those
+ *   items are predicted from the remaining items only, as if they were new
+ * - options: { fields=ATTRIBUTE_FIELDS, k=10, method='isotonic' | 'temperature',
+ *   holdout=0.2, samples=2000, seed=42 } plus space/index/voting as for predictAttributes;
+ *   predict with the same k and voting afterwards, since both shape the vote share
+ * - returns the calibration, ready for writeCalibration(embPath, calibration); fields fewer
+ *   than two held-out items have are left out
+ */
+export async function fitCalibration(embeddingsObj, options = {}) {
+  const {
+    fields = ATTRIBUTE_FIELDS, k = 10, method = 'isotonic',
+    holdout = 0.2, samples = 2000, seed = 42, ...searchOptions
+  } = options;
+  if (!(holdout > 0 && holdout < 1)) throw new Error(`Calibration holdout must be in (0, 1), got ${holdout}`);
+
+  // Fisher-Yates shuffle of the ids, so the split is reproducible for a given seed
+  const ids = embeddingsObj.rows.map(r => r.id);
+  const random = seededRandom(seed);
+  for (let i = ids.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+  const heldOut = ids.slice(0, Math.round(ids.length * holdout));
+  const queries = heldOut.slice(0, samples);
+
+  const byField = Object.fromEntries(fields.map(f => [f, []]));
+  for (const id of queries) {
+    const { topK, predictions } = await predictAttributes({ id }, embeddingsObj, fields, k, {
+      ...searchOptions,
+      hierarchy: false,
+      exclude: heldOut
+    });
+    const truth = embeddingsObj.byId.get(id).metadata;
+    for (const field of fields) {
+      const prediction = predictions[field];
+      if (!truth[field] || prediction.label === null) continue;
+      byField[field].push({ ...calibrationFeatures(prediction, topK, field), correct: prediction.label === truth[field] });
+    }
+  }
+
+  const fitted = {};
+  for (const [field, fieldSamples] of Object.entries(byField)) {
+    // a field with a single sample can't be both fitted and evaluated
+    if (fieldSamples.length >= 2) fitted[field] = fitFieldCalibration(fieldSamples, method, { seed });
+  }
+  return {
+    method,
+    k,
+    voting: votingSettings(searchOptions.voting),
+    space: searchOptions.space ?? 'image',
+    model_id: embeddingsObj.manifest?.model_id ?? null,
+    rows: embeddingsObj.rows.length,
+    holdout,
+    seed,
+    created_at: new Date().toISOString(),
+    fields: fitted
+  };
+}
+
+if (process.argv[1].endsWith('calibration.js')) {
+  (async () => {
+    const args = process.argv.slice(2);
+    const takeOption = (name, parse) => {
+      const idx = args.indexOf(name);
+      return idx >= 0 ? parse(args.splice(idx, 2)[1]) : undefined;
+    };
+    const options = {
+      method: takeOption('--method', v => v),
+      k: takeOption('--k', Number),
+      holdout: takeOption('--holdout', Number),
+      samples: takeOption('--samples', Number),
+      seed: takeOption('--seed', Number),
+      fields: takeOption('--fields', v => v.split(',').map(f => f.trim())),
+      space: takeOption('--space', v => v),
+      voting: takeOption('--vote', v => v)
+    };
+    const defined = Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined));
+
+    const [embPath] = args;
+    if (!embPath) {
+      console.error('Usage: node calibration.js <embeddings> [--method isotonic|temperature] [--k 10] [--vote majority|weighted|softmax|rank] [--holdout 0.2] [--samples 2000] [--fields gender,articleType,...] [--space image]');
+      process.exit(2);
+    }
+
+    const emb = await loadEmbeddings(embPath);
+    const start = Date.now();
+    const calibration = await fitCalibration(emb, defined);
+    for (const [field, c] of Object.entries(calibration.fields)) {
+      const note = c.rejected ? ` (${c.rejected} fit did not help, keeping the vote share)` : '';
+      console.log(`${field}: ${c.samples} samples, accuracy ${c.accuracy.toFixed(3)}, ` +
+        `ECE on ${c.eval_samples} held out from the fit ${c.ece_before.toFixed(3)} -> ${c.ece_after.toFixed(3)}${note}`);
+    }
+    const calibrationPath = await writeCalibration(embPath, calibration);
+    console.log(`Fitted ${calibration.method} calibration (k=${calibration.k}) in ${Date.now() - start} ms -> ${calibrationPath}`);
+  })().catch(e => { console.error(e); process.exit(1); });
+}
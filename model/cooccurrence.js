@@ -0,0 +1,149 @@
+// cooccurrence.js - Item-item collaborative signal from interaction logs
+//
+// Two items are related when the same users interact with them ("people who viewed X
+// bought Y"). Each user gives an item the weight of their strongest event on it (see
+// interactions.js), and the similarity of two items is the cosine of their per-user
+// weight vectors, so it lies in [0, 1] and isn't dominated by merely popular items.
+
+import { cosineSimilarity } from './utils.js';
+import { vectorFor } from './fusion.js';
+import { compileFilter } from './filter.js';
+import { DEFAULT_EVENT_WEIGHTS } from './interactions.js';
+import { resolveQuery, nearestNeighbors, searchNeighbors } from './predictor.js';
+
+export const DEFAULT_BLEND = { content: 0.7, collaborative: 0.3 };
+
+// only the most recent items of very active users count, which keeps the pair count bounded
+const MAX_ITEMS_PER_USER = 200;
+
+/**
+ * buildCooccurrence(interactions, { weights, maxItemsPerUser })
+ * - interactions: the result of loadInteractions
+ * - returns { neighbors: Map item -> Map item -> similarity, interacted: Set of items with
+ *   at least one interaction }
+ */
+export function buildCooccurrence(interactions, options = {}) {
+  const weights = options.weights ?? DEFAULT_EVENT_WEIGHTS;
+  const maxItems = options.maxItemsPerUser ?? MAX_ITEMS_PER_USER;
+  const norms = new Map();
+  const dots = new Map();
+
+  for (const events of interactions.byUser.values()) {
+    // strongest event per item; events are oldest first, so the Map ends most recent last
+    const strongest = new Map();
+    for (const e of events) {
+      const w = weights[e.event] ?? 0;
+      if (w <= 0) continue;
+      const prev = strongest.get(e.item) ?? 0;
+      strongest.delete(e.item);
+      strongest.set(e.item, Math.max(prev, w));
+    }
+    const items = [...strongest.entries()].slice(-maxItems);
+
+    for (const [item, w] of items) norms.set(item, (norms.get(item) || 0) + w * w);
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length; j++) {
+        const [a, wa] = items[i], [b, wb] = items[j];
+        addPair(dots, a, b, wa * wb);
+        addPair(dots, b, a, wa * wb);
+      }
+    }
+  }
+
+  for (const [a, row] of dots) {
+    for (const [b, d] of row) row.set(b, d / Math.sqrt(norms.get(a) * norms.get(b)));
+  }
+  return { neighbors: dots, interacted: new Set(norms.keys()) };
+}
+
+function addPair(dots, a, b, value) {
+  let row = dots.get(a);
+  if (!row) dots.set(a, row = new Map());
+  row.set(b, (row.get(b) || 0) + value);
+}
+
+/** relatedItems(cooccurrence, item) -> Map of co-occurring item -> similarity (empty when cold) */
+export function relatedItems(cooccurrence, item) {
+  return cooccurrence.neighbors.get(item) ?? new Map();
+}
+
+/**
+ * collaborativeScore(cooccurrence, query, candidate)
+ * - co-occurrence similarity of the candidate to the query item, 0 when they never
+ *   co-occur, or null when the query item itself has no interactions (cold start)
+ */
+export function collaborativeScore(cooccurrence, query, candidate) {
+  if (!cooccurrence.interacted.has(query)) return null;
+  return relatedItems(cooccurrence, query).get(candidate) ?? 0;
+}
+
+/**
+ * blendScore(content, collaborative, blend)
+ * - weighted mean of the two similarities; with collaborative = null (a cold-start query)
+ *   the content similarity is returned unchanged
+ */
+export function blendScore(content, collaborative, blend = DEFAULT_BLEND) {
+  if (collaborative === null) return content;
+  const total = blend.content + blend.collaborative;
+  return total ? (blend.content * content + blend.collaborative * collaborative) / total : content;
+}
+
+/** parseBlend('content=0.7,collaborative=0.3') -> { content, collaborative } for the CLI */
+export function parseBlend(spec) {
+  const blend = { ...DEFAULT_BLEND };
+  for (const pair of spec.split(',')) {
+    const [name, w] = pair.split('=').map(s => s.trim());
+    if (!(name in DEFAULT_BLEND) || !(Number(w) >= 0)) {
+      throw new Error(`Invalid blend weight: ${pair}. Signals: ${Object.keys(DEFAULT_BLEND).join(', ')}`);
+    }
+    blend[name] = Number(w);
+  }
+  return blend;
+}
+
+/**
+ * recommendHybrid(query, embeddingsObj, cooccurrence, k=10, options={})
+ * - neighbors ranked by a blend of embedding cosine and item-item co-occurrence (see
+ *   blendScore), so items bought together with the query rank up even when they look
+ *   different
+ * - query: { id }, { image }, { text } or { vector }; only catalog items can have
+ *   interactions, so other queries, and items nobody interacted with yet, fall back to
+ *   pure content similarity
+ * - cooccurrence: the result of buildCooccurrence(await loadInteractions(logPath))
+ * - options.blend: { content=0.7, collaborative=0.3 }
+ * - options.poolFactor: content neighbors considered as a multiple of k (default 5)
+ * - options.space/index/filter/exclude/model: as for predictFromImage
+ * - returns { query, strategy: 'hybrid' | 'content', topK } where each result carries
+ *   score (the blend), content and collaborative (null for content-only results)
+ */
+export async function recommendHybrid(query, embeddingsObj, cooccurrence, k = 10, options = {}) {
+  const blend = { ...DEFAULT_BLEND, ...options.blend };
+  const { q, space, excludeId } = await resolveQuery(query, embeddingsObj, options);
+  const search = { ...options, space, excludeId };
+  const warm = excludeId !== null && cooccurrence.interacted.has(excludeId) && blend.collaborative > 0;
+  if (!warm) {
+    const topK = nearestNeighbors(q, embeddingsObj, k, search)
+      .map(n => ({ ...n, content: n.score, collaborative: null }));
+    return { query, strategy: 'content', topK };
+  }
+
+  // candidates: the closest items by content plus everything that co-occurs with the query
+  const pool = new Map();
+  for (const n of searchNeighbors(q, embeddingsObj, k * (options.poolFactor ?? 5), search)) pool.set(n.id, n);
+  const excluded = new Set([excludeId, ...(options.exclude || [])]);
+  const matches = compileFilter(options.filter);
+  for (const id of relatedItems(cooccurrence, excludeId).keys()) {
+    const row = embeddingsObj.byId.get(id);
+    if (!row || pool.has(id) || excluded.has(id) || (matches && !matches(row.metadata))) continue;
+    pool.set(id, { id, metadata: row.metadata, score: cosineSimilarity(q, vectorFor(row, space)) });
+  }
+
+  const topK = [...pool.values()]
+    .map(n => {
+      const collaborative = collaborativeScore(cooccurrence, excludeId, n.id);
+      return { ...n, score: blendScore(n.score, collaborative, blend), content: n.score, collaborative };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+  return { query, strategy: 'hybrid', topK };
+}
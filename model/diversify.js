@@ -0,0 +1,57 @@
+// diversify.js - Maximal Marginal Relevance (MMR) re-ranking
+//
+// Greedily picks the candidate maximizing
+//   lambda * relevance - (1 - lambda) * max similarity to the items already picked
+// so results stay close to the query without being near-duplicates of each other.
+// lambda=1 is plain relevance order, lambda=0 maximal diversity.
+
+import { dot } from './utils.js';
+
+export const DEFAULT_MMR = { lambda: 0.7, fields: [], fieldWeight: 0.5, poolFactor: 5 };
+
+/**
+ * itemSimilarity(a, b, { fields, fieldWeight })
+ * - cosine of the two vectors, blended with the fraction of `fields` whose metadata
+ *   values are equal when fields are given:
+ *     (1 - fieldWeight) * cos + fieldWeight * shared/fields.length
+ */
+export function itemSimilarity(a, b, { fields = [], fieldWeight = DEFAULT_MMR.fieldWeight } = {}) {
+  const cos = dot(a.vector, b.vector);
+  if (!fields.length) return cos;
+  const shared = fields.filter(f => a.metadata?.[f] && a.metadata[f] === b.metadata?.[f]).length;
+  return (1 - fieldWeight) * cos + fieldWeight * shared / fields.length;
+}
+
+/**
+ * mmr(candidates, k, { lambda=0.7, fields=[], fieldWeight=0.5 })
+ * - candidates: [{ id, metadata, score, vector }] where score is relevance to the query
+ * - returns k of them in selection order, each with `mmrScore`
+ */
+export function mmr(candidates, k, options = {}) {
+  const { lambda, fields, fieldWeight } = { ...DEFAULT_MMR, ...options };
+  if (!(lambda >= 0 && lambda <= 1)) throw new Error(`MMR lambda must be in [0, 1], got ${lambda}`);
+
+  const remaining = candidates.slice();
+  // highest similarity of each remaining candidate to anything selected so far
+  const maxSim = new Array(remaining.length).fill(-Infinity);
+  const selected = [];
+
+  while (selected.length < k && remaining.length) {
+    let best = 0, bestScore = -Infinity;
+    remaining.forEach((c, i) => {
+      const redundancy = selected.length ? maxSim[i] : 0;
+      const score = lambda * c.score - (1 - lambda) * redundancy;
+      if (score > bestScore) { bestScore = score; best = i; }
+    });
+
+    const [picked] = remaining.splice(best, 1);
+    maxSim.splice(best, 1);
+    selected.push({ ...picked, mmrScore: bestScore });
+
+    remaining.forEach((c, i) => {
+      maxSim[i] = Math.max(maxSim[i], itemSimilarity(c, picked, { fields, fieldWeight }));
+    });
+  }
+
+  return selected;
+}
@@ -0,0 +1,30 @@
+// embed-worker.js - worker thread used by generateEmbeddings({ workers: N })
+//
+// Protocol (parent <-> worker):
+//   worker -> { type: 'ready', preprocessing }  model loaded, send work
+//   parent -> { type: 'embed', rows }           embed one chunk of CSV rows
+//   worker -> { type: 'embedded', entries, rejects }
+//   parent -> { type: 'close' }                 no more work, release the model and exit
+import { parentPort, workerData } from 'worker_threads';
+import { embedRows, describePreprocessing } from './embedder.js';
+import { getVisionModel, getTextModel, disposeModels } from './model-manager.js';
+
+const { profile, imagesDir, sessionOptions, fusion } = workerData;
+
+// each worker owns its model instances; the parent decides how many threads they may use
+const vision = await getVisionModel(profile, { sessionOptions });
+if (fusion) {
+  await getTextModel(profile, { sessionOptions });
+}
+
+parentPort.on('message', async (msg) => {
+  if (msg.type === 'embed') {
+    const { entries, rejects } = await embedRows(msg.rows, imagesDir, vision, fusion);
+    parentPort.postMessage({ type: 'embedded', entries, rejects });
+  } else if (msg.type === 'close') {
+    await disposeModels();
+    parentPort.close();
+  }
+});
+
+parentPort.postMessage({ type: 'ready', preprocessing: describePreprocessing(vision.processor) });
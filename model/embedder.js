@@ -2,104 +2,522 @@
 import fs from 'fs-extra';
 import csv from 'csv-parser';
 import path from 'path';
-import {
-  AutoProcessor,
-  SiglipVisionModel,
-  RawImage
-} from '@huggingface/transformers';
+import { Worker, isMainThread } from 'worker_threads';
+import { RawImage } from '@huggingface/transformers';
 import { l2Normalize } from './utils.js';
-
-const MODEL_ID = 'Marqo/marqo-fashionSigLIP';
+import { getVisionModel, getTextModel, selectOutput, resolveRevision } from './model-manager.js';
+import { encodeText } from './predictor.js';
+import {
+  resolveFusion,
+  buildAttributeVocab,
+  itemText,
+  encodeAttributes,
+  fuseVectors
+} from './fusion.js';
+import { DEFAULT_PROFILE, resolveModelProfile } from './model-registry.js';
+import { writeBinaryEmbeddings, metaPathFor, spacePathFor } from './embedding-store.js';
+import { writeManifest, sha256File, checksumImages } from './manifest.js';
+import {
+  REJECT_REASONS,
+  rejectsPathFor,
+  summarizeRejects,
+  writeRejectsReport,
+  formatRejectsSummary
+} from './rejects.js';
 
 /**
- * generateEmbeddings(csvPath, imagesDir, outPath)
+ * generateEmbeddings(csvPath, imagesDir, outPath, options)
  * - csvPath: path to CSV with header: id,gender,masterCategory,subCategory,articleType,baseColour,season,year,usage
  * - imagesDir: directory containing <id>.jpg images
- * - outPath: where to write embeddings.json
+ * - outPath: where to write embeddings.json; a `.bin` path writes the binary
+ *   format (float32 matrix + .meta.json sidecar) instead
+ * - options.checkpointEvery: append finished rows to `<outPath>.partial` every N items (default 500)
+ * - options.resume: reuse rows from an existing `<outPath>.partial` and skip their ids
+ * - options.batchSize: number of images stacked into one forward pass (default 8)
+ * - options.workers: number of worker threads, each with its own model instance (default 1 = in-process)
+ * - options.threadsPerWorker: ONNX intra-op threads per model instance (default: onnxruntime decides)
+ * - options.model: model profile name from model-registry.js (default 'fashion-siglip')
+ * - options.revision: hub branch, tag or commit to load (default: the profile's, else 'main');
+ *   it is resolved to a commit once, every tower is loaded from that commit and the
+ *   manifest records it; when the hub can't be reached the revision is loaded as given
+ *   (e.g. from the local cache) and recorded as null
+ * - options.fusion: when set (true or overrides of DEFAULT_FUSION in fusion.js), each row
+ *   also gets text, attribute and fused vectors in `row.embeddings`
+ * - options.rejectsPath: where to write the skipped-rows report (default <name>.rejects.jsonl;
+ *   a .csv path writes CSV)
+ *
+ * Output rows are ordered by id, so the file is identical whatever the worker count.
+ * A provenance manifest (<outPath>.manifest.json) is written alongside the output.
  */
-export async function generateEmbeddings(csvPath, imagesDir, outPath = 'embeddings.json') {
-  // Load processors + model
-  console.log('Loading processor & vision model (this may take a while)...');
-  const processor = await AutoProcessor.from_pretrained(MODEL_ID);
-  const visionModel = await SiglipVisionModel.from_pretrained(MODEL_ID);
+export async function generateEmbeddings(csvPath, imagesDir, outPath = 'embeddings.json', options = {}) {
+  const { checkpointEvery = 500, resume = false, batchSize = 8, workers = 1, threadsPerWorker } = options;
+  const rejectsPath = options.rejectsPath ?? rejectsPathFor(outPath);
+  const baseProfile = resolveModelProfile(options.model ?? DEFAULT_PROFILE);
+  // pinned before anything loads, so workers and a resumed run can't pick up a moved branch
+  const requestedRevision = options.revision ?? baseProfile.revision ?? 'main';
+  let revision = null;
+  try {
+    revision = await resolveRevision(baseProfile, requestedRevision);
+  } catch (err) {
+    console.warn(`${err.message}; loading ${requestedRevision} unpinned, the manifest won't record a revision`);
+  }
+  const profile = { ...baseProfile, revision: revision ?? requestedRevision };
+  const partialPath = `${outPath}.partial`;
+  const startedAt = new Date().toISOString();
 
   // Read CSV rows
   const rows = await readCSV(csvPath);
 
-  const out = [];
+  // The attribute vocabulary comes from the whole CSV so it doesn't depend on which
+  // rows a run (or worker) happens to embed
+  let fusion = null;
+  if (options.fusion) {
+    const config = resolveFusion(options.fusion === true ? {} : options.fusion);
+    fusion = { ...config, vocab: buildAttributeVocab(rows, config.attributeFields) };
+  }
+
+  let out = [];
+  const header = checkpointHeader(profile, revision, fusion);
+  if (resume) {
+    const checkpoint = await readCheckpoint(partialPath);
+    if (checkpoint) {
+      assertResumable(checkpoint.header, header, partialPath);
+      out = checkpoint.entries;
+      console.log(`Resuming from ${partialPath}: ${out.length} embeddings already done`);
+    } else {
+      console.log(`No checkpoint at ${partialPath}, starting fresh`);
+    }
+  } else if (await fs.pathExists(partialPath)) {
+    console.warn(`Discarding stale checkpoint ${partialPath} (pass --resume to continue from it)`);
+    await fs.remove(partialPath);
+  }
+  if (!await fs.pathExists(partialPath)) {
+    await fs.ensureDir(path.dirname(path.resolve(partialPath)));
+    await fs.writeFile(partialPath, JSON.stringify({ checkpoint: header }) + '\n');
+  }
+  const done = new Set(out.map(r => r.id));
+  const todo = rows.filter(r => !done.has(r.id));
+
+  // rows embedded since the last checkpoint
+  let pending = [];
+  const rejects = [];
+  const onEmbedded = async ({ entries, rejects: chunkRejects }) => {
+    rejects.push(...chunkRejects);
+
+    for (const entry of entries) {
+      out.push(entry);
+      pending.push(entry);
+
+      if (out.length % 100 === 0) {
+        console.log(`Processed ${out.length} images...`);
+      }
+    }
+
+    if (pending.length >= checkpointEvery) {
+      await appendCheckpoint(partialPath, pending);
+      pending = [];
+    }
+  };
+
+  const chunks = [];
+  for (let i = 0; i < todo.length; i += batchSize) {
+    chunks.push(todo.slice(i, i + batchSize));
+  }
+
+  const sessionOptions = threadsPerWorker ? { intraOpNumThreads: threadsPerWorker } : undefined;
+  let preprocessing = null;
+  if (workers > 1) {
+    preprocessing = await embedWithWorkers(chunks, imagesDir, { workers, sessionOptions, profile, fusion }, onEmbedded);
+  } else {
+    // Load processors + model
+    console.log(`Loading processor & vision model for ${profile.name} (this may take a while)...`);
+    const vision = await getVisionModel(profile, { sessionOptions });
+    preprocessing = describePreprocessing(vision.processor);
+    if (fusion) {
+      await getTextModel(profile, { sessionOptions });
+    }
+
+    for (const chunk of chunks) {
+      await onEmbedded(await embedRows(chunk, imagesDir, vision, fusion));
+    }
+  }
+
+  await appendCheckpoint(partialPath, pending);
+
+  out.sort((a, b) => compareIds(a.id, b.id));
+  rejects.sort((a, b) => compareIds(a.id, b.id));
+
+  await writeOutputAtomic(out, outPath);
+  await fs.remove(partialPath);
+  console.log(`Saved ${out.length} embeddings to ${outPath}`);
+
+  const rejectsSummary = summarizeRejects(rejects);
+  await writeRejectsReport(rejects, rejectsPath);
+  console.log(formatRejectsSummary(rejectsSummary));
+  console.log(`Wrote skipped-rows report to ${rejectsPath}`);
+
+  const manifestPath = await writeManifest(outPath, {
+    model_profile: profile.name,
+    model_id: profile.modelId,
+    // null for local models and when the hub couldn't be reached
+    model_revision: revision,
+    dtype: profile.dtype ?? null,
+    dim: out.length ? out[0].embedding.length : 0,
+    normalization: 'l2',
+    spaces: describeSpaces(out[0]),
+    fusion,
+    preprocessing,
+    format: path.extname(outPath) === '.bin' ? 'bin' : 'json',
+    sources: {
+      csv_path: path.resolve(csvPath),
+      csv_sha256: await sha256File(csvPath),
+      images_dir: path.resolve(imagesDir),
+      images_sha256: await checksumImages(out.map(r => path.join(imagesDir, `${r.id}.jpg`)))
+    },
+    item_count: out.length,
+    skipped_count: rows.length - out.length,
+    skipped_by_reason: rejectsSummary.by_reason,
+    rejects_report: path.resolve(rejectsPath),
+    resumed: resume,
+    started_at: startedAt,
+    finished_at: new Date().toISOString()
+  });
+  console.log(`Wrote manifest to ${manifestPath}`);
+}
+
+/** describeSpaces -> { space: dimension } for every vector a row carries */
+function describeSpaces(row) {
+  if (!row) return {};
+  const spaces = { image: row.embedding.length };
+  for (const [space, vec] of Object.entries(row.embeddings || {})) spaces[space] = vec.length;
+  return spaces;
+}
+
+/** describePreprocessing -> the image processor settings that affect the embeddings */
+export function describePreprocessing(processor) {
+  const config = processor?.image_processor?.config ?? {};
+  const keys = ['do_resize', 'size', 'resample', 'do_rescale', 'rescale_factor', 'do_normalize', 'image_mean', 'image_std', 'do_convert_rgb'];
+  return Object.fromEntries(keys.filter(k => config[k] !== undefined).map(k => [k, config[k]]));
+}
+
+/** compareIds -> numeric-aware id ordering ('2' < '10') */
+function compareIds(a, b) {
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * embedRows(rows, imagesDir, vision, fusion=null)
+ * - vision: { processor, model, profile } as returned by getVisionModel
+ * - fusion: resolved fusion config with its attribute vocab, or null for image-only rows
+ * - reads and validates the image of every row, then embeds the valid ones in a single
+ *   forward pass; rows with missing or broken images are skipped with a warning
+ * - returns { entries: [{ id, embedding, metadata }], rejects: [{ id, reason, message, path }] }
+ */
+export async function embedRows(rows, imagesDir, vision, fusion = null) {
+  // decoded images for the next forward pass
+  const batch = [];
+  const rejects = [];
+  const reject = (id, imagePath, reason, message) => {
+    console.warn(`Skipping ${id} — ${message}`);
+    rejects.push({ id, reason, message, path: imagePath });
+  };
+
   for (const row of rows) {
     const id = row.id;
     const imagePath = path.join(imagesDir, `${id}.jpg`);
     if (!await fs.pathExists(imagePath)) {
-      console.warn(`Skipping ${id} — image not found at ${imagePath}`);
+      reject(id, imagePath, REJECT_REASONS.IMAGE_MISSING, `image not found at ${imagePath}`);
       continue;
     }
 
+    // read image (works with local file paths)
+    let rawImage;
     try {
-      // read image (works with local file paths)
-      const rawImage = await RawImage.read(imagePath);
-      
-      // Validate that the image was loaded properly
-      if (!rawImage) {
-        console.warn(`Skipping ${id} — failed to load image from ${imagePath}`);
-        continue;
-      }
-      
-      // Additional validation for image properties
-      if (!rawImage.size || !Array.isArray(rawImage.size) || rawImage.size.length !== 2) {
-        console.warn(`Skipping ${id} — image has invalid size property:`, rawImage.size);
-        continue;
-      }
+      rawImage = await RawImage.read(imagePath);
+    } catch (readError) {
+      reject(id, imagePath, REJECT_REASONS.DECODE_FAILED, `failed to decode image: ${readError.message}`);
+      continue;
+    }
 
-      // process input for the model
-      let inputs;
-      try {
-        inputs = await processor(rawImage);
-      } catch (processError) {
-        console.warn(`Skipping ${id} — processor failed: ${processError.message}`);
-        continue;
-      }
-      
-      // Validate processor output
-      if (!inputs) {
-        console.warn(`Skipping ${id} — processor returned invalid input`);
-        continue;
-      }
+    // Validate that the image was loaded properly
+    if (!rawImage) {
+      reject(id, imagePath, REJECT_REASONS.LOAD_FAILED, `failed to load image from ${imagePath}`);
+      continue;
+    }
 
-      // run vision model
-      const result = await visionModel(inputs);
-      // Different model outputs may use different keys; SigLIP returns an embedding tensor
-      // common key: image_embeds or image_features — handle both
-      const tensor = result.image_embeds ?? result.image_features ?? result.embeddings ?? result.pooler_output;
+    // Additional validation for image properties
+    if (!rawImage.size || !Array.isArray(rawImage.size) || rawImage.size.length !== 2) {
+      reject(id, imagePath, REJECT_REASONS.INVALID_SIZE, `image has invalid size property: ${JSON.stringify(rawImage.size)}`);
+      continue;
+    }
+
+    batch.push({ id, row, rawImage, imagePath });
+  }
+
+  const embedded = await embedBatch(vision, batch, (item, err) => {
+    reject(item.id, item.imagePath, err.code ?? REJECT_REASONS.INFERENCE_FAILED, err.message);
+  });
+  let entries = embedded.map(({ item, embedding }) => ({
+    id: item.id,
+    embedding,
+    metadata: item.row
+  }));
+
+  if (fusion) {
+    entries = await addFusedEmbeddings(entries, vision.profile, fusion, (entry, err) => {
+      reject(entry.id, path.join(imagesDir, `${entry.id}.jpg`), REJECT_REASONS.TEXT_FAILED, `text embedding failed: ${err.message}`);
+    });
+  }
+  return { entries, rejects };
+}
+
+/**
+ * addFusedEmbeddings -> attaches { text, attributes, fused } vectors to each entry; if the
+ * batched text call fails, entries are retried one at a time and failures reported
+ */
+async function addFusedEmbeddings(entries, profile, fusion, onReject) {
+  if (!entries.length) return entries;
+
+  let textVecs;
+  try {
+    textVecs = await encodeText(entries.map(e => itemText(e.metadata, fusion.textFields)), profile);
+  } catch (err) {
+    if (entries.length === 1) {
+      onReject(entries[0], err);
+      return [];
+    }
+    const fused = [];
+    for (const entry of entries) {
+      fused.push(...await addFusedEmbeddings([entry], profile, fusion, onReject));
+    }
+    return fused;
+  }
 
-      if (!tensor) {
-        console.error(`No image embedding found for id ${id}. Output keys: ${Object.keys(result)}`);
-        continue;
+  return entries.map((entry, i) => {
+    const parts = {
+      image: entry.embedding,
+      text: textVecs[i],
+      attributes: encodeAttributes(entry.metadata, fusion.vocab)
+    };
+    return {
+      ...entry,
+      embeddings: { text: parts.text, attributes: parts.attributes, fused: fuseVectors(parts, fusion.weights) }
+    };
+  });
+}
+
+/**
+ * embedWithWorkers -> hands row chunks to a pool of worker threads (see embed-worker.js),
+ * giving the next chunk to whichever worker finishes first; resolves with the workers'
+ * preprocessing settings
+ */
+function embedWithWorkers(chunks, imagesDir, { workers, sessionOptions, profile, fusion }, onEmbedded) {
+  const poolSize = Math.min(workers, chunks.length);
+  if (poolSize === 0) return Promise.resolve(null);
+  console.log(`Embedding ${chunks.length} batches with ${poolSize} worker threads...`);
+
+  return new Promise((resolve, reject) => {
+    let next = 0;
+    let running = poolSize;
+    let failed = false;
+    let preprocessing = null;
+    // results are handled one at a time so checkpoint writes never interleave
+    let handled = Promise.resolve();
+    const pool = [];
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      pool.forEach(w => w.terminate());
+      reject(err);
+    };
+
+    const dispatch = (worker) => {
+      if (next < chunks.length) {
+        worker.postMessage({ type: 'embed', rows: chunks[next++] });
+      } else {
+        worker.postMessage({ type: 'close' });
       }
+    };
 
-      // tensor.data is a Float32Array; if shape is [1, D] we extract first row
-      // Convert to JS array
-      const arr = Array.from(tensor.data);
-      // If the model returns flatten or additional dims, ensure we trim to a single vector if needed.
-      // (Most models return [1, D] or [D], so above works.)
-      const normalized = l2Normalize(arr);
-
-      out.push({
-        id,
-        embedding: normalized,
-        metadata: row
+    for (let i = 0; i < poolSize; i++) {
+      const worker = new Worker(new URL('./embed-worker.js', import.meta.url), {
+        workerData: { profile, imagesDir, sessionOptions, fusion }
       });
+      pool.push(worker);
 
-      if (out.length % 100 === 0) {
-        console.log(`Processed ${out.length} images...`);
-      }
+      worker.on('message', (msg) => {
+        if (msg.type === 'ready') {
+          preprocessing = msg.preprocessing;
+          dispatch(worker);
+        } else if (msg.type === 'embedded') {
+          handled = handled.then(() => onEmbedded(msg)).catch(fail);
+          dispatch(worker);
+        }
+      });
+      worker.on('error', fail);
+      worker.on('exit', (code) => {
+        if (failed) return;
+        if (code !== 0) return fail(new Error(`Embedding worker exited with code ${code}`));
+        if (--running === 0) handled.then(() => resolve(preprocessing), fail);
+      });
+    }
+  });
+}
+
+/**
+ * embedBatch -> runs one forward pass over a batch of decoded images and returns
+ * [{ item, embedding }]. If the batch fails as a whole it is retried one image at a
+ * time, so a bad image only skips itself (reported through onReject(item, err)).
+ */
+async function embedBatch(vision, items, onReject) {
+  if (!items.length) return [];
+
+  try {
+    return await runVisionBatch(vision, items);
+  } catch (err) {
+    // a misconfigured model affects every image, so don't reject them one by one
+    if (err.fatal) throw err;
+    if (items.length === 1) {
+      onReject(items[0], err);
+      return [];
+    }
+  }
+
+  const embedded = [];
+  for (const item of items) {
+    embedded.push(...await embedBatch(vision, [item], onReject));
+  }
+  return embedded;
+}
+
+/** batchError -> Error tagged with a REJECT_REASONS code */
+function batchError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/** runVisionBatch -> stacks the images into one model call and splits the [B, D] output per item */
+async function runVisionBatch(vision, items) {
+  const { processor, model: visionModel, profile } = vision;
+  // process input for the model
+  let inputs;
+  try {
+    inputs = await processor(items.map(item => item.rawImage));
+  } catch (processError) {
+    throw batchError(REJECT_REASONS.PROCESSOR_FAILED, `processor failed: ${processError.message}`);
+  }
+  if (!inputs) {
+    throw batchError(REJECT_REASONS.PROCESSOR_INVALID, 'processor returned invalid input');
+  }
+
+  // run vision model
+  let result;
+  try {
+    result = await visionModel(inputs);
+  } catch (modelError) {
+    throw batchError(REJECT_REASONS.INFERENCE_FAILED, `model failed: ${modelError.message}`);
+  }
+  // Different model outputs use different keys; the profile names the right one
+  const tensor = selectOutput(result, profile.imageOutputKey);
+  if (!tensor) {
+    throw batchError(REJECT_REASONS.INFERENCE_FAILED, `no image embedding in model output (keys: ${Object.keys(result)})`);
+  }
+
+  // Most models return [B, D]; a bare [D] only makes sense for a single image
+  const [count, dim] = tensor.dims.length === 2 ? tensor.dims : [1, tensor.data.length];
+  if (count !== items.length) {
+    throw batchError(REJECT_REASONS.INFERENCE_FAILED, `model returned ${count} embeddings for ${items.length} images`);
+  }
+  if (profile.dim && dim !== profile.dim) {
+    const err = new Error(`Model profile ${profile.name} expects dimension ${profile.dim} but ${profile.imageOutputKey} has ${dim}`);
+    err.fatal = true;
+    throw err;
+  }
+
+  return items.map((item, i) => ({
+    item,
+    embedding: l2Normalize(Array.from(tensor.data.subarray(i * dim, (i + 1) * dim)))
+  }));
+}
+
+/** appendCheckpoint -> appends rows as JSON lines to the partial file */
+async function appendCheckpoint(partialPath, entries) {
+  if (!entries.length) return;
+  const lines = entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+  await fs.appendFile(partialPath, lines);
+}
+
+/**
+ * checkpointHeader -> the settings a partial file's vectors depend on; written as its first
+ * line so a resumed run can't mix vectors from different models or fusion settings
+ */
+function checkpointHeader(profile, revision, fusion) {
+  return { model_id: profile.modelId, model_revision: revision, dtype: profile.dtype ?? null, fusion };
+}
+
+/** assertResumable -> throws unless the checkpoint was written with the current settings */
+function assertResumable(saved, current, partialPath) {
+  if (!saved) {
+    throw new Error(`${partialPath} does not record the model it was written with; rerun without --resume to start over`);
+  }
+  for (const field of Object.keys(current)) {
+    if (JSON.stringify(saved[field] ?? null) !== JSON.stringify(current[field] ?? null)) {
+      throw new Error(`${partialPath} was written with a different ${field} (${JSON.stringify(saved[field] ?? null)}); ` +
+        'resume with the same --model, --revision and fusion flags, or rerun without --resume to start over');
+    }
+  }
+}
+
+/**
+ * readCheckpoint -> { header, entries } from a partial file, or null if there is none;
+ * a torn last line from a crash is dropped
+ */
+async function readCheckpoint(partialPath) {
+  if (!await fs.pathExists(partialPath)) return null;
+  const text = await fs.readFile(partialPath, 'utf8');
+  let header = null;
+  const entries = [];
+  const seen = new Set();
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
     } catch (err) {
-      console.error(`Error processing ${id}:`, err);
+      console.warn(`Ignoring unreadable checkpoint line in ${partialPath}`);
+      continue;
     }
+    if (entry.checkpoint) {
+      header = entry.checkpoint;
+      continue;
+    }
+    if (seen.has(entry.id)) continue;
+    seen.add(entry.id);
+    entries.push(entry);
   }
+  return { header, entries };
+}
 
-  await fs.writeJSON(outPath, out, { spaces: 2 });
-  console.log(`Saved ${out.length} embeddings to ${outPath}`);
+/**
+ * writeOutputAtomic -> writes to a temporary file next to outPath and renames it into
+ * place, so an interrupted run never leaves a half-written embeddings file behind
+ */
+async function writeOutputAtomic(out, outPath) {
+  const { dir, name, ext } = path.parse(outPath);
+  const tmpPath = path.join(dir, `${name}.tmp-${process.pid}${ext}`);
+
+  if (ext === '.bin') {
+    await writeBinaryEmbeddings(out, tmpPath);
+    for (const space of Object.keys(out[0]?.embeddings || {})) {
+      await fs.rename(spacePathFor(tmpPath, space), spacePathFor(outPath, space));
+    }
+    await fs.rename(metaPathFor(tmpPath), metaPathFor(outPath));
+  } else {
+    await fs.writeJSON(tmpPath, out, { spaces: 2 });
+  }
+  await fs.rename(tmpPath, outPath);
 }
 
 /** readCSV -> returns array of objects (rows) */
@@ -114,14 +532,47 @@ function readCSV(csvPath) {
   });
 }
 
+/** parseFusionFlags -> fusion option from --fuse / --fusion-weights (which implies --fuse) */
+function parseFusionFlags(args) {
+  const idx = args.indexOf('--fusion-weights');
+  if (idx >= 0) {
+    const [, spec] = args.splice(idx, 2);
+    const weights = Object.fromEntries(spec.split(',').map(pair => {
+      const [space, w] = pair.split('=');
+      return [space.trim(), Number(w)];
+    }));
+    return { weights };
+  }
+  return args.includes('--fuse') ? true : null;
+}
+
 // If run directly, simple CLI
-if (process.argv[1].endsWith('embedder.js')) {
-  const [, , csvPath, imagesDir, outPath] = process.argv;
+// (worker threads inherit process.argv, so only the main thread may run the CLI)
+if (isMainThread && process.argv[1].endsWith('embedder.js')) {
+  const args = process.argv.slice(2);
+  const takeOption = (name, parse = v => Number(v) || undefined) => {
+    const idx = args.indexOf(name);
+    if (idx < 0) return undefined;
+    const [, value] = args.splice(idx, 2);
+    return parse(value);
+  };
+  const options = {
+    checkpointEvery: takeOption('--checkpoint-every'),
+    batchSize: takeOption('--batch-size'),
+    workers: takeOption('--workers'),
+    threadsPerWorker: takeOption('--threads-per-worker'),
+    rejectsPath: takeOption('--rejects', v => v),
+    model: takeOption('--model', v => v),
+    revision: takeOption('--revision', v => v),
+    fusion: parseFusionFlags(args),
+    resume: args.includes('--resume')
+  };
+  const [csvPath, imagesDir, outPath] = args.filter(a => a !== '--resume' && a !== '--fuse');
   if (!csvPath || !imagesDir) {
-    console.error('Usage: node embedder.js <data.csv> <images_dir> [out.json]');
+    console.error('Usage: node embedder.js <data.csv> <images_dir> [out.json|out.bin] [--resume] [--checkpoint-every N] [--batch-size N] [--workers N] [--threads-per-worker N] [--rejects rejects.jsonl|rejects.csv] [--model <profile>] [--revision <branch|tag|commit>] [--fuse] [--fusion-weights image=1,text=0.7,attributes=0.3]');
     process.exit(2);
   }
-  generateEmbeddings(csvPath, imagesDir, outPath || 'embeddings.json').catch(e => {
+  generateEmbeddings(csvPath, imagesDir, outPath || 'embeddings.json', options).catch(e => {
     console.error(e);
     process.exit(1);
   });
@@ -0,0 +1,339 @@
+// embedding-store.js - Binary embedding storage
+//
+// Layout of an embeddings .bin file (all integers little-endian uint32):
+//   [0..3]   magic 'EMBF'
+//   [4..7]   format version
+//   [8..11]  embedding dimension (D)
+//   [12..15] item count (N)
+//   [16..]   N * D float32 values, row-major, row i belongs to ids[i]
+// Ids and per-row metadata live in a JSON sidecar next to it (<name>.meta.json).
+// Files embedded with fusion also carry one matrix per extra space (text, attributes,
+// fused) in the same layout at <name>.<space>.bin, listed in the sidecar's `spaces`.
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { readManifest, writeManifest } from './manifest.js';
+
+const MAGIC = 'EMBF';
+const VERSION = 1;
+const HEADER_BYTES = 16;
+const FLOAT_BYTES = 4;
+
+/** metaPathFor('out/embeddings.bin') -> 'out/embeddings.meta.json' */
+export function metaPathFor(binPath) {
+  const { dir, name } = path.parse(binPath);
+  return path.join(dir, `${name}.meta.json`);
+}
+
+/** spacePathFor('out/embeddings.bin', 'text') -> 'out/embeddings.text.bin' */
+export function spacePathFor(binPath, space) {
+  const { dir, name, ext } = path.parse(binPath);
+  return path.join(dir, `${name}.${space}${ext}`);
+}
+
+/** isBinaryEmbeddings -> true if the file starts with the EMBF magic */
+export async function isBinaryEmbeddings(filePath) {
+  const fh = await fs.promises.open(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(MAGIC.length);
+    const { bytesRead } = await fh.read(buf, 0, MAGIC.length, 0);
+    return bytesRead === MAGIC.length && buf.toString('ascii') === MAGIC;
+  } finally {
+    await fh.close();
+  }
+}
+
+function encodeHeader(dim, count) {
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.write(MAGIC, 0, 'ascii');
+  header.writeUInt32LE(VERSION, 4);
+  header.writeUInt32LE(dim, 8);
+  header.writeUInt32LE(count, 12);
+  return header;
+}
+
+function decodeHeader(buf, filePath) {
+  if (buf.length < HEADER_BYTES || buf.toString('ascii', 0, 4) !== MAGIC) {
+    throw new Error(`${filePath} is not a binary embeddings file`);
+  }
+  const version = buf.readUInt32LE(4);
+  if (version !== VERSION) {
+    throw new Error(`Unsupported embeddings format version ${version} in ${filePath}`);
+  }
+  return { version, dim: buf.readUInt32LE(8), count: buf.readUInt32LE(12) };
+}
+
+/** writeMatrix -> writes one [count x dim] float32 matrix file, returns dim */
+async function writeMatrix(vectors, ids, filePath) {
+  const count = vectors.length;
+  const dim = count ? vectors[0].length : 0;
+
+  const matrix = new Float32Array(count * dim);
+  vectors.forEach((vec, i) => {
+    if (vec.length !== dim) {
+      throw new Error(`Embedding for id ${ids[i]} has dimension ${vec.length}, expected ${dim}`);
+    }
+    matrix.set(vec, i * dim);
+  });
+
+  const body = Buffer.from(matrix.buffer, matrix.byteOffset, matrix.byteLength);
+  if (os.endianness() !== 'LE') {
+    // the on-disk format is little-endian regardless of host
+    body.swap32();
+  }
+
+  await fs.writeFile(filePath, Buffer.concat([encodeHeader(dim, count), body]));
+  return dim;
+}
+
+/** readMatrix -> the float32 matrix of one file, checked against the expected row count */
+async function readMatrix(filePath, expectedCount) {
+  let buf = await fs.readFile(filePath);
+  const { dim, count } = decodeHeader(buf, filePath);
+
+  if (count !== expectedCount) {
+    throw new Error(`${filePath} has ${count} rows, expected ${expectedCount}`);
+  }
+  const expectedBytes = HEADER_BYTES + count * dim * FLOAT_BYTES;
+  if (buf.length !== expectedBytes) {
+    throw new Error(`${filePath} is truncated or corrupt: ${buf.length} bytes, expected ${expectedBytes}`);
+  }
+
+  if (os.endianness() !== 'LE' || (buf.byteOffset + HEADER_BYTES) % FLOAT_BYTES !== 0) {
+    // copy into an aligned, host-endian buffer
+    buf = Buffer.from(buf);
+    if (os.endianness() !== 'LE') buf.subarray(HEADER_BYTES).swap32();
+  }
+  return { dim, matrix: new Float32Array(buf.buffer, buf.byteOffset + HEADER_BYTES, count * dim) };
+}
+
+/**
+ * writeBinaryEmbeddings(rows, binPath)
+ * - rows: [{ id, embedding, metadata, embeddings? }] as produced by the embedder
+ * - writes the float32 matrix to binPath and ids/metadata to the sidecar; extra spaces
+ *   in `row.embeddings` each get their own matrix file
+ */
+export async function writeBinaryEmbeddings(rows, binPath) {
+  const count = rows.length;
+  const ids = rows.map(r => r.id);
+
+  await fs.ensureDir(path.dirname(path.resolve(binPath)));
+  const dim = await writeMatrix(rows.map(r => r.embedding), ids, binPath);
+
+  const spaces = {};
+  for (const space of Object.keys(rows[0]?.embeddings || {})) {
+    const vectors = rows.map(r => {
+      const vec = r.embeddings?.[space];
+      if (!vec) throw new Error(`Row ${r.id} has no '${space}' embedding`);
+      return vec;
+    });
+    spaces[space] = await writeMatrix(vectors, ids, spacePathFor(binPath, space));
+  }
+
+  const meta = { format: 'embf', version: VERSION, dim, count };
+  if (Object.keys(spaces).length) meta.spaces = spaces;
+  await fs.writeJSON(metaPathFor(binPath), { ...meta, ids, metadata: rows.map(r => r.metadata) });
+
+  return { dim, count };
+}
+
+/**
+ * readBinaryEmbeddings(binPath)
+ * - reads the whole matrix in one go; row embeddings are zero-copy Float32Array
+ *   views into it, so memory use is ~4 bytes per value
+ * - extra spaces listed in the sidecar are attached as `row.embeddings[space]` views
+ * - returns { dim, count, matrix, rows }
+ */
+export async function readBinaryEmbeddings(binPath) {
+  const meta = await fs.readJSON(metaPathFor(binPath));
+  const count = meta.ids.length;
+  const { dim, matrix } = await readMatrix(binPath, count);
+
+  if (meta.count !== count || meta.dim !== dim) {
+    throw new Error(`Sidecar ${metaPathFor(binPath)} does not match ${binPath} (${meta.count}x${meta.dim} vs ${count}x${dim})`);
+  }
+
+  const spaces = {};
+  for (const [space, spaceDim] of Object.entries(meta.spaces || {})) {
+    const spacePath = spacePathFor(binPath, space);
+    spaces[space] = await readMatrix(spacePath, count);
+    if (spaces[space].dim !== spaceDim) {
+      throw new Error(`${spacePath} has dimension ${spaces[space].dim}, sidecar says ${spaceDim}`);
+    }
+  }
+
+  const rows = meta.ids.map((id, i) => {
+    const row = {
+      id,
+      embedding: matrix.subarray(i * dim, (i + 1) * dim),
+      metadata: meta.metadata[i]
+    };
+    if (meta.spaces) {
+      row.embeddings = Object.fromEntries(Object.entries(spaces).map(([space, s]) =>
+        [space, s.matrix.subarray(i * s.dim, (i + 1) * s.dim)]));
+    }
+    return row;
+  });
+
+  return { dim, count, matrix, rows };
+}
+
+/**
+ * openMatrix -> { dim, row(i) } over one matrix file left on disk; row(i) reads that row by
+ * offset into a fresh Float32Array
+ */
+function openMatrix(filePath, expectedCount) {
+  const fd = fs.openSync(filePath, 'r');
+  const headerBuf = Buffer.alloc(HEADER_BYTES);
+  fs.readSync(fd, headerBuf, 0, HEADER_BYTES, 0);
+  const { dim, count } = decodeHeader(headerBuf, filePath);
+
+  if (count !== expectedCount) {
+    throw new Error(`${filePath} has ${count} rows, expected ${expectedCount}`);
+  }
+  const rowBytes = dim * FLOAT_BYTES;
+  const expectedBytes = HEADER_BYTES + count * rowBytes;
+  const { size } = fs.fstatSync(fd);
+  if (size !== expectedBytes) {
+    throw new Error(`${filePath} is truncated or corrupt: ${size} bytes, expected ${expectedBytes}`);
+  }
+
+  return {
+    dim,
+    row(i) {
+      const buf = Buffer.alloc(rowBytes);
+      fs.readSync(fd, buf, 0, rowBytes, HEADER_BYTES + i * rowBytes);
+      if (os.endianness() !== 'LE') buf.swap32();
+      return new Float32Array(buf.buffer, buf.byteOffset, dim);
+    },
+    close: () => fs.closeSync(fd)
+  };
+}
+
+/**
+ * openBinaryEmbeddings(binPath)
+ * - like readBinaryEmbeddings, but only the ids and metadata are loaded: the matrices stay
+ *   on disk and `row.embedding` (and `row.embeddings[space]`) is read by offset on each
+ *   access, so resident memory doesn't grow with N * D
+ * - meant for serving from an index that holds its own compressed vectors (IVF with PQ);
+ *   anything that scans every row reads the whole file, one row at a time
+ * - returns { dim, count, rows, close() }
+ */
+export async function openBinaryEmbeddings(binPath) {
+  const meta = await fs.readJSON(metaPathFor(binPath));
+  const count = meta.ids.length;
+  const matrix = openMatrix(binPath, count);
+
+  if (meta.count !== count || meta.dim !== matrix.dim) {
+    matrix.close();
+    throw new Error(`Sidecar ${metaPathFor(binPath)} does not match ${binPath} (${meta.count}x${meta.dim} vs ${count}x${matrix.dim})`);
+  }
+
+  const spaces = {};
+  for (const [space, spaceDim] of Object.entries(meta.spaces || {})) {
+    const spacePath = spacePathFor(binPath, space);
+    spaces[space] = openMatrix(spacePath, count);
+    if (spaces[space].dim !== spaceDim) {
+      throw new Error(`${spacePath} has dimension ${spaces[space].dim}, sidecar says ${spaceDim}`);
+    }
+  }
+
+  const rows = meta.ids.map((id, i) => {
+    const row = { id, metadata: meta.metadata[i] };
+    Object.defineProperty(row, 'embedding', { enumerable: true, get: () => matrix.row(i) });
+    if (meta.spaces) {
+      row.embeddings = {};
+      for (const [space, s] of Object.entries(spaces)) {
+        Object.defineProperty(row.embeddings, space, { enumerable: true, get: () => s.row(i) });
+      }
+    }
+    return row;
+  });
+
+  const close = () => [matrix, ...Object.values(spaces)].forEach(m => m.close());
+  return { dim: matrix.dim, count, rows, close };
+}
+
+/**
+ * streamBinaryEmbeddings(binPath, { batchSize=1024 })
+ * - async generator over rows, reading batchSize rows at a time so arbitrarily
+ *   large files can be processed with bounded memory
+ * - yields { id, embedding: Float32Array, metadata } (the image space only)
+ */
+export async function* streamBinaryEmbeddings(binPath, { batchSize = 1024 } = {}) {
+  const fh = await fs.promises.open(binPath, 'r');
+  try {
+    const headerBuf = Buffer.alloc(HEADER_BYTES);
+    await fh.read(headerBuf, 0, HEADER_BYTES, 0);
+    const { dim, count } = decodeHeader(headerBuf, binPath);
+    const meta = await fs.readJSON(metaPathFor(binPath));
+
+    const rowBytes = dim * FLOAT_BYTES;
+    for (let start = 0; start < count; start += batchSize) {
+      const n = Math.min(batchSize, count - start);
+      const chunk = Buffer.alloc(n * rowBytes);
+      const { bytesRead } = await fh.read(chunk, 0, chunk.length, HEADER_BYTES + start * rowBytes);
+      if (bytesRead !== chunk.length) {
+        throw new Error(`${binPath} is truncated at row ${start}`);
+      }
+      if (os.endianness() !== 'LE') chunk.swap32();
+
+      const floats = new Float32Array(chunk.buffer, chunk.byteOffset, n * dim);
+      for (let i = 0; i < n; i++) {
+        yield {
+          id: meta.ids[start + i],
+          embedding: floats.subarray(i * dim, (i + 1) * dim),
+          metadata: meta.metadata[start + i]
+        };
+      }
+    }
+  } finally {
+    await fh.close();
+  }
+}
+
+/** carryManifest -> copies the provenance manifest of a converted file, if it has one */
+async function carryManifest(fromPath, toPath, format) {
+  const manifest = await readManifest(fromPath);
+  if (manifest) await writeManifest(toPath, { ...manifest, format });
+}
+
+/** jsonToBinary(jsonPath, binPath) -> converts an embeddings.json file to .bin + sidecar */
+export async function jsonToBinary(jsonPath, binPath) {
+  const rows = await fs.readJSON(jsonPath);
+  const result = await writeBinaryEmbeddings(rows, binPath);
+  await carryManifest(jsonPath, binPath, 'bin');
+  return result;
+}
+
+/** binaryToJson(binPath, jsonPath) -> converts a .bin + sidecar back to embeddings.json */
+export async function binaryToJson(binPath, jsonPath) {
+  const { rows, dim, count } = await readBinaryEmbeddings(binPath);
+  const out = rows.map(r => {
+    const row = { id: r.id, embedding: Array.from(r.embedding), metadata: r.metadata };
+    if (r.embeddings) {
+      row.embeddings = Object.fromEntries(Object.entries(r.embeddings).map(([space, vec]) => [space, Array.from(vec)]));
+    }
+    return row;
+  });
+  await fs.writeJSON(jsonPath, out);
+  await carryManifest(binPath, jsonPath, 'json');
+  return { dim, count };
+}
+
+// If run directly, simple converter CLI
+if (process.argv[1].endsWith('embedding-store.js')) {
+  const [, , cmd, inPath, outPath] = process.argv;
+  const convert = cmd === 'to-bin' ? jsonToBinary : cmd === 'to-json' ? binaryToJson : null;
+  if (!convert || !inPath || !outPath) {
+    console.error('Usage: node embedding-store.js to-bin <embeddings.json> <embeddings.bin>\n       node embedding-store.js to-json <embeddings.bin> <embeddings.json>');
+    process.exit(2);
+  }
+  convert(inPath, outPath).then(({ dim, count }) => {
+    console.log(`Converted ${count} embeddings (dim ${dim}) to ${outPath}`);
+  }).catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+}
@@ -3,7 +3,8 @@
 import fs from 'fs-extra';
 import path from 'path';
 import os from 'os';
-import { loadEmbeddings, predictFromId, predictFromImage } from '../predictor.js';
+import { loadEmbeddings, predictFromId, predictFromImage, queryProfile } from '../predictor.js';
+import { warmupModels, getVisionModel, disposeModels } from '../model-manager.js';
 import { performance } from 'perf_hooks';
 
 /**
@@ -18,6 +19,8 @@ class PerformanceBenchmark {
       include_memory_profiling: true,
       include_cpu_profiling: false,
       detailed_timing: true,
+      include_model_loading: false, // downloads/loads the vision model, off by default
+      query_image_path: null, // optional image used to time warm image queries
       ...config
     };
     
@@ -70,6 +73,11 @@ class PerformanceBenchmark {
     
     // 6. Concurrent Performance
     await this.benchmarkConcurrentPerformance(embeddings, sampleItems);
+
+    // 7. Model Loading (cold load vs. shared instance)
+    if (this.config.include_model_loading) {
+      await this.benchmarkModelLoading(embeddings);
+    }
     
     // Generate summary
     this.generateBenchmarkSummary();
@@ -435,6 +443,54 @@ class PerformanceBenchmark {
     });
   }
 
+  /**
+   * Benchmark model loading through the shared model manager
+   */
+  async benchmarkModelLoading(embeddings) {
+    console.log('🧠 Benchmarking model loading...');
+
+    // Start from a clean slate so the first load is a real cold load
+    await disposeModels();
+
+    // the model (and revision) image queries will use, so they find it already loaded
+    const profile = queryProfile(embeddings);
+    const coldStart = performance.now();
+    const warmup = await warmupModels(profile, { vision: true });
+    const coldTime = performance.now() - coldStart;
+
+    // Subsequent lookups should hit the process-wide cache
+    const cachedTimes = [];
+    for (let i = 0; i < 10; i++) {
+      const start = performance.now();
+      await getVisionModel(profile);
+      cachedTimes.push(performance.now() - start);
+    }
+
+    const results = {
+      cold_load_ms: coldTime,
+      warmup_ms: warmup,
+      cached_lookup_avg_ms: this.mean(cachedTimes)
+    };
+
+    if (this.config.query_image_path) {
+      const queryTimes = [];
+      for (let i = 0; i < 5; i++) {
+        const start = performance.now();
+        await predictFromImage(this.config.query_image_path, embeddings, 5, 'articletype');
+        queryTimes.push(performance.now() - start);
+      }
+      results.warm_image_query_avg_ms = this.mean(queryTimes);
+      results.warm_image_query_median_ms = this.median(queryTimes);
+    }
+
+    await disposeModels();
+
+    this.results.benchmarks.push({
+      category: 'model_loading',
+      results
+    });
+  }
+
   /**
    * Generate benchmark summary
    */
@@ -475,6 +531,13 @@ class PerformanceBenchmark {
             summary.performance_grades.scalability = this.gradePerformance('scalability', scalingFactor);
           }
           break;
+
+        case 'model_loading':
+          summary.key_metrics.model_cold_load_ms = benchmark.results.cold_load_ms;
+          if (benchmark.results.warm_image_query_avg_ms !== undefined) {
+            summary.key_metrics.warm_image_query_ms = benchmark.results.warm_image_query_avg_ms;
+          }
+          break;
       }
     }
 
@@ -31,11 +31,19 @@ export class ModelEvaluator {
 
   /**
    * Load embeddings and prepare evaluation data
+   * (accepts one path or an array of paths; incompatible files are rejected by loadEmbeddings)
    */
   async initialize(embeddingsPath = 'embeddings.json') {
     console.log('Loading embeddings for evaluation...');
     this.embeddings = await loadEmbeddings(embeddingsPath);
     console.log(`Loaded ${this.embeddings.rows.length} embeddings`);
+
+    const { manifest } = this.embeddings;
+    if (manifest) {
+      console.log(`Embeddings produced by ${manifest.model_id} (dim ${manifest.dim}, ${manifest.normalization} normalized) at ${manifest.finished_at}`);
+    } else {
+      console.warn('No manifest found for embeddings; provenance will not be recorded');
+    }
     return this;
   }
 
@@ -106,6 +114,7 @@ export class ModelEvaluator {
     const results = {
       timestamp: new Date().toISOString(),
       config,
+      provenance: this.embeddings.manifest,
       metrics: {},
       detailed_results: {},
       performance: {}
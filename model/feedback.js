@@ -0,0 +1,69 @@
+// feedback.js - Rocchio relevance feedback
+//
+//   q' = alpha * q + beta * mean(positives) - gamma * mean(negatives)
+//
+// moves the query towards items marked "more like this" and away from items marked
+// "not like this". The update is stateless: to run several rounds, send the original
+// query with every judgment made so far (see predictWithFeedback).
+
+import { l2Normalize } from './utils.js';
+import { vectorFor } from './fusion.js';
+import { resolveQuery, rankAndVote } from './predictor.js';
+
+export const DEFAULT_ROCCHIO = { alpha: 1.0, beta: 0.75, gamma: 0.15 };
+
+function mean(vectors) {
+  const sum = new Array(vectors[0].length).fill(0);
+  for (const v of vectors) {
+    for (let d = 0; d < sum.length; d++) sum[d] += v[d];
+  }
+  return sum.map(x => x / vectors.length);
+}
+
+/**
+ * rocchio(q, positives, negatives, { alpha, beta, gamma })
+ * - q and the judged vectors are l2-normalized embeddings; returns the l2-normalized
+ *   updated query (an empty side of the feedback simply contributes nothing)
+ */
+export function rocchio(q, positives = [], negatives = [], weights = {}) {
+  const { alpha, beta, gamma } = { ...DEFAULT_ROCCHIO, ...weights };
+  const out = Array.from(q, x => alpha * x);
+  if (positives.length) {
+    mean(positives).forEach((x, d) => { out[d] += beta * x; });
+  }
+  if (negatives.length) {
+    mean(negatives).forEach((x, d) => { out[d] -= gamma * x; });
+  }
+  return l2Normalize(out);
+}
+
+/**
+ * predictWithFeedback(query, embeddingsObj, feedback, k=5, field='articleType', options={})
+ * - re-runs a query after the user marked results as "more like this" / "not like this"
+ * - query: { id }, { image: path }, { text } or { vector }, always the original query
+ * - feedback: { positive: [ids], negative: [ids], alpha, beta, gamma } (see rocchio);
+ *   it is stateless, so each round passes every judgment made so far
+ * - judged items are left out of the results unless options.keepJudged is set
+ * - options: as for predictFromImage
+ * - returns { query, feedback: { positive, negative }, topK, prediction }
+ */
+export async function predictWithFeedback(query, embeddingsObj, feedback = {}, k = 5, field = 'articleType', options = {}) {
+  const { positive = [], negative = [], ...weights } = feedback;
+  const { q, space, excludeId } = await resolveQuery(query, embeddingsObj, options);
+
+  const judged = id => {
+    const row = embeddingsObj.byId.get(id);
+    if (!row) throw new Error(`Feedback id ${id} not found in embeddings`);
+    return vectorFor(row, space);
+  };
+  const refined = rocchio(q, positive.map(judged), negative.map(judged), weights);
+
+  const exclude = options.keepJudged ? [] : [...positive, ...negative];
+  const result = rankAndVote(refined, embeddingsObj, k, field, {
+    ...options,
+    space,
+    excludeId,
+    exclude: [...(options.exclude || []), ...exclude]
+  });
+  return { query, feedback: { positive, negative }, ...result };
+}
@@ -0,0 +1,127 @@
+// filter.js - Metadata filter expressions for similarity search
+//
+//   { gender: 'Women', season: ['Summer', 'Spring'], year: { gte: 2015 } }
+//
+// Every key of an expression must hold for a row to match:
+//   field: value             equal (values are compared as strings, so 2015 matches '2015')
+//   field: [a, b]            equal to any of the listed values
+//   field: { op: value }     eq, ne, in, nin, gt, gte, lt, lte, exists
+//   $and / $or: [expr, ...]  all / any of the sub-expressions
+//   $not: expr               the sub-expression does not match
+// Range operators compare numerically when both sides are numbers (CSV metadata holds
+// strings like '2015'), otherwise as strings. Missing fields only match ne, nin and
+// { exists: false }.
+
+const OPERATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'exists'];
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function asNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value.trim() === '') return NaN;
+  return Number(value);
+}
+
+/** compare -> negative/zero/positive like a sort comparator, numeric when possible */
+function compare(actual, expected) {
+  const a = asNumber(actual), b = asNumber(expected);
+  if (Number.isFinite(a) && Number.isFinite(b)) return a - b;
+  return String(actual).localeCompare(String(expected));
+}
+
+function equals(actual, expected) {
+  return !isMissing(actual) && String(actual) === String(expected);
+}
+
+function compileCondition(field, cond) {
+  if (Array.isArray(cond)) {
+    return metadata => cond.some(v => equals(metadata[field], v));
+  }
+  if (cond === null || typeof cond !== 'object') {
+    return metadata => equals(metadata[field], cond);
+  }
+
+  const checks = Object.entries(cond).map(([op, expected]) => {
+    if (!OPERATORS.includes(op)) {
+      throw new Error(`Unknown filter operator '${op}' on ${field} (supported: ${OPERATORS.join(', ')})`);
+    }
+    if ((op === 'in' || op === 'nin') && !Array.isArray(expected)) {
+      throw new Error(`Filter operator '${op}' on ${field} needs an array`);
+    }
+    switch (op) {
+      case 'eq': return v => equals(v, expected);
+      case 'ne': return v => !equals(v, expected);
+      case 'in': return v => expected.some(e => equals(v, e));
+      case 'nin': return v => !expected.some(e => equals(v, e));
+      case 'exists': return v => isMissing(v) !== Boolean(expected);
+      case 'gt': return v => !isMissing(v) && compare(v, expected) > 0;
+      case 'gte': return v => !isMissing(v) && compare(v, expected) >= 0;
+      case 'lt': return v => !isMissing(v) && compare(v, expected) < 0;
+      case 'lte': return v => !isMissing(v) && compare(v, expected) <= 0;
+    }
+  });
+  return metadata => checks.every(check => check(metadata[field]));
+}
+
+/**
+ * compileFilter(expr)
+ * - turns a filter expression into a predicate over row metadata; a function is returned
+ *   as is and a null/empty expression compiles to null (no filtering)
+ * - throws on unknown operators so typos don't silently match everything
+ */
+export function compileFilter(expr) {
+  if (expr === null || expr === undefined) return null;
+  if (typeof expr === 'function') return expr;
+  if (typeof expr !== 'object' || Array.isArray(expr)) {
+    throw new Error(`Filter must be an object like { gender: 'Women' }, got ${JSON.stringify(expr)}`);
+  }
+  if (!Object.keys(expr).length) return null;
+
+  const parts = Object.entries(expr).map(([key, cond]) => {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(cond)) throw new Error(`Filter ${key} needs an array of expressions`);
+      const subs = cond.map(sub => compileFilter(sub) || (() => true));
+      return key === '$and'
+        ? metadata => subs.every(f => f(metadata))
+        : metadata => subs.some(f => f(metadata));
+    }
+    if (key === '$not') {
+      const sub = compileFilter(cond) || (() => true);
+      return metadata => !sub(metadata);
+    }
+    return compileCondition(key, cond);
+  });
+
+  return metadata => parts.every(part => part(metadata || {}));
+}
+
+/**
+ * parseFilterArg(text)
+ * - CLI form of a filter: either JSON ('{"gender":"Women"}') or a comma-separated
+ *   shorthand where '|' separates alternatives:
+ *     gender=Women,season=Summer|Spring,year>=2015,usage!=Sports
+ */
+export function parseFilterArg(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) return JSON.parse(trimmed);
+
+  const expr = {};
+  for (const clause of trimmed.split(',').map(c => c.trim()).filter(Boolean)) {
+    const m = clause.match(/^([^!<>=]+?)\s*(>=|<=|!=|=|>|<)\s*(.*)$/);
+    if (!m) throw new Error(`Cannot parse filter clause '${clause}'`);
+    const [, field, op, value] = m;
+    const values = value.split('|');
+
+    const cond = expr[field] && typeof expr[field] === 'object' && !Array.isArray(expr[field]) ? expr[field] : {};
+    if (op === '=') {
+      expr[field] = values.length > 1 ? values : value;
+      continue;
+    }
+    const key = { '!=': values.length > 1 ? 'nin' : 'ne', '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' }[op];
+    cond[key] = key === 'nin' ? values : value;
+    expr[field] = cond;
+  }
+  return expr;
+}
@@ -0,0 +1,102 @@
+// fusion.js - Fused multimodal item vectors (image + text + attributes)
+//
+// Each part is l2-normalized and scaled by its weight before concatenation, so the dot
+// product of two fused vectors is the weighted sum of the per-modality cosine
+// similarities (divided by the sum of squared weights):
+//
+//   fused(a) . fused(b) = (w_img² cos_img + w_txt² cos_txt + w_attr² cos_attr) / Σw²
+
+import { l2Normalize } from './utils.js';
+
+/**
+ * Search spaces a row can carry. 'image' is the row's `embedding`; the others live in
+ * `row.embeddings` and only exist for files embedded with fusion enabled.
+ */
+export const SPACES = ['image', 'text', 'attributes', 'fused'];
+
+export const DEFAULT_FUSION = {
+  weights: { image: 1.0, text: 0.7, attributes: 0.3 },
+  textFields: ['productDisplayName', 'articleType', 'baseColour', 'season', 'usage'],
+  attributeFields: ['gender', 'masterCategory', 'subCategory', 'articleType', 'baseColour', 'season', 'usage']
+};
+
+/** resolveFusion -> DEFAULT_FUSION with the given overrides (weights are merged per key) */
+export function resolveFusion(overrides = {}) {
+  return {
+    ...DEFAULT_FUSION,
+    ...overrides,
+    weights: { ...DEFAULT_FUSION.weights, ...(overrides.weights || {}) }
+  };
+}
+
+/** itemText -> the text that is embedded for a row, e.g. "Navy Blue Shirt. Shirts, Navy Blue, Fall, Casual" */
+export function itemText(row, textFields = DEFAULT_FUSION.textFields) {
+  const [first, ...rest] = textFields.map(f => row[f]).filter(Boolean);
+  if (!first) return '';
+  return rest.length ? `${first}. ${rest.join(', ')}` : first;
+}
+
+/**
+ * buildAttributeVocab(rows, fields)
+ * - { field: [sorted distinct values] }, the one-hot layout of the attribute space
+ */
+export function buildAttributeVocab(rows, fields = DEFAULT_FUSION.attributeFields) {
+  const vocab = {};
+  for (const field of fields) {
+    const values = new Set();
+    for (const row of rows) {
+      if (row[field]) values.add(row[field]);
+    }
+    vocab[field] = [...values].sort();
+  }
+  return vocab;
+}
+
+/**
+ * encodeAttributes(row, vocab)
+ * - concatenated one-hot blocks, one per field, l2-normalized so the cosine between two
+ *   items is the fraction of fields they share; unknown or missing values stay all-zero
+ */
+export function encodeAttributes(row, vocab) {
+  const out = [];
+  for (const [field, values] of Object.entries(vocab)) {
+    const block = new Array(values.length).fill(0);
+    const idx = values.indexOf(row[field]);
+    if (idx >= 0) block[idx] = 1;
+    out.push(...block);
+  }
+  return l2Normalize(out);
+}
+
+/**
+ * fuseVectors({ image, text, attributes }, weights)
+ * - weighted concatenation of the l2-normalized parts (zero-weight parts are left out)
+ */
+export function fuseVectors(parts, weights) {
+  const out = [];
+  for (const space of ['image', 'text', 'attributes']) {
+    const w = weights[space] || 0;
+    if (!w) continue;
+    if (!parts[space]) throw new Error(`Cannot fuse: missing ${space} vector`);
+    for (const v of parts[space]) out.push(v * w);
+  }
+  return l2Normalize(out);
+}
+
+/**
+ * vectorFor(row, space='image')
+ * - the vector a row contributes to the given search space
+ */
+export function vectorFor(row, space = 'image') {
+  if (space === 'image') return row.embedding;
+  const vec = row.embeddings?.[space];
+  if (!vec) {
+    throw new Error(`Row ${row.id} has no '${space}' embedding (available: ${availableSpaces(row).join(', ')})`);
+  }
+  return vec;
+}
+
+/** availableSpaces -> the spaces a row can be searched in */
+export function availableSpaces(row) {
+  return ['image', ...Object.keys(row.embeddings || {})];
+}
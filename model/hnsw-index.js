@@ -0,0 +1,269 @@
+// hnsw-index.js - Hierarchical Navigable Small World graph for approximate k-NN search
+//
+// Each item is inserted on layers 0..level (level drawn from an exponential distribution),
+// linked to at most M neighbors per layer (2*M on layer 0). A query greedily descends the
+// sparse upper layers and then runs a best-first search of width efSearch on layer 0.
+// Similarity is the dot product, i.e. cosine for the l2-normalized embeddings we store.
+//
+// Only the graph is saved (<name>.json); vectors are taken from the embeddings file the
+// index was built from, so loading an index requires those embeddings.
+
+import fs from 'fs-extra';
+import path from 'path';
+import { dot, seededRandom } from './utils.js';
+import { vectorFor } from './fusion.js';
+
+const FORMAT = 'hnsw';
+const VERSION = 1;
+
+export const DEFAULT_HNSW_PARAMS = { M: 16, efConstruction: 200, efSearch: 50, seed: 42 };
+
+/** Binary heap ordered by `before(a, b)` (true when a should be popped first) */
+class Heap {
+  constructor(before) {
+    this.before = before;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const a = this.items;
+    a.push(item);
+    let i = a.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(a[i], a[parent])) break;
+      [a[i], a[parent]] = [a[parent], a[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const a = this.items;
+    const top = a[0];
+    const last = a.pop();
+    if (a.length) {
+      a[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1, r = l + 1;
+        let best = i;
+        if (l < a.length && this.before(a[l], a[best])) best = l;
+        if (r < a.length && this.before(a[r], a[best])) best = r;
+        if (best === i) break;
+        [a[i], a[best]] = [a[best], a[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+const bestFirst = (a, b) => a.score > b.score;
+const worstFirst = (a, b) => a.score < b.score;
+
+function maxLinks(index, level) {
+  return level === 0 ? 2 * index.params.M : index.params.M;
+}
+
+/**
+ * searchLayer -> up to ef nodes of one layer closest to q, best first, starting from
+ * `entries` ([{ node, score }])
+ */
+function searchLayer(index, q, entries, ef, level) {
+  const visited = new Set(entries.map(e => e.node));
+  const candidates = new Heap(bestFirst);
+  const results = new Heap(worstFirst);
+  for (const e of entries) {
+    candidates.push(e);
+    results.push(e);
+  }
+
+  while (candidates.size) {
+    const c = candidates.pop();
+    if (results.size >= ef && c.score < results.peek().score) break;
+
+    for (const n of index.links[c.node][level]) {
+      if (visited.has(n)) continue;
+      visited.add(n);
+      const score = dot(q, index.vectors[n]);
+      if (results.size < ef || score > results.peek().score) {
+        candidates.push({ node: n, score });
+        results.push({ node: n, score });
+        if (results.size > ef) results.pop();
+      }
+    }
+  }
+
+  return results.items.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * selectNeighbors -> the heuristic of the HNSW paper: a candidate is kept only if it is
+ * closer to the base node than to every neighbor kept so far, which spreads links across
+ * clusters; remaining slots are then filled with the closest pruned candidates
+ */
+function selectNeighbors(index, candidates, max) {
+  const selected = [];
+  const pruned = [];
+  for (const c of candidates) {
+    if (selected.length >= max) break;
+    const diverse = selected.every(s => dot(index.vectors[s.node], index.vectors[c.node]) < c.score);
+    (diverse ? selected : pruned).push(c);
+  }
+  for (const c of pruned) {
+    if (selected.length >= max) break;
+    selected.push(c);
+  }
+  return selected;
+}
+
+/** greedyDescend -> closest node to q found by walking layers top..(stopLevel+1) with ef=1 */
+function greedyDescend(index, q, stopLevel) {
+  let best = { node: index.entryPoint, score: dot(q, index.vectors[index.entryPoint]) };
+  for (let level = index.maxLevel; level > stopLevel; level--) {
+    [best] = searchLayer(index, q, [best], 1, level);
+  }
+  return best;
+}
+
+function insert(index, node, level) {
+  const q = index.vectors[node];
+  index.links[node] = Array.from({ length: level + 1 }, () => []);
+
+  if (index.entryPoint === null) {
+    index.entryPoint = node;
+    index.maxLevel = level;
+    return;
+  }
+
+  let entries = [greedyDescend(index, q, level)];
+  for (let l = Math.min(level, index.maxLevel); l >= 0; l--) {
+    const found = searchLayer(index, q, entries, index.params.efConstruction, l);
+    const neighbors = selectNeighbors(index, found, index.params.M);
+    index.links[node][l] = neighbors.map(n => n.node);
+
+    for (const { node: n } of neighbors) {
+      const links = index.links[n][l];
+      links.push(node);
+      if (links.length > maxLinks(index, l)) {
+        const base = index.vectors[n];
+        const scored = links
+          .map(m => ({ node: m, score: dot(base, index.vectors[m]) }))
+          .sort((a, b) => b.score - a.score);
+        index.links[n][l] = selectNeighbors(index, scored, maxLinks(index, l)).map(s => s.node);
+      }
+    }
+    entries = found;
+  }
+
+  if (level > index.maxLevel) {
+    index.entryPoint = node;
+    index.maxLevel = level;
+  }
+}
+
+/**
+ * buildHnswIndex(rows, { M=16, efConstruction=200, efSearch=50, seed=42, space='image' })
+ * - rows: embeddings rows as returned by loadEmbeddings
+ * - M: links per node and layer (2*M on layer 0); higher = better recall, more memory
+ * - efConstruction: search width while inserting; higher = better graph, slower build
+ * - efSearch: default search width at query time (can be overridden per query)
+ * - space: which vector of each row to index (see fusion.js)
+ */
+export function buildHnswIndex(rows, options = {}) {
+  const { space = 'image', ...overrides } = options;
+  const params = { ...DEFAULT_HNSW_PARAMS, ...overrides };
+  if (params.M < 2) throw new Error(`HNSW M must be at least 2, got ${params.M}`);
+
+  const index = {
+    type: FORMAT,
+    params,
+    space,
+    dim: rows.length ? vectorFor(rows[0], space).length : 0,
+    ids: rows.map(r => r.id),
+    rows,
+    vectors: rows.map(r => vectorFor(r, space)),
+    levels: [],
+    links: [],
+    entryPoint: null,
+    maxLevel: -1
+  };
+
+  const random = seededRandom(params.seed);
+  const levelMult = 1 / Math.log(params.M);
+  for (let node = 0; node < rows.length; node++) {
+    const level = Math.floor(-Math.log(1 - random()) * levelMult);
+    index.levels.push(level);
+    insert(index, node, level);
+  }
+
+  return index;
+}
+
+/**
+ * searchHnsw(index, q, k=5, { efSearch })
+ * - returns up to k [{ row, score }] best first; efSearch is raised to k if smaller
+ */
+export function searchHnsw(index, q, k = 5, { efSearch } = {}) {
+  if (index.entryPoint === null) return [];
+  if (q.length !== index.dim) {
+    throw new Error(`Query has dimension ${q.length}, index expects ${index.dim}`);
+  }
+
+  const ef = Math.max(efSearch ?? index.params.efSearch, k);
+  const entry = greedyDescend(index, q, 0);
+  return searchLayer(index, q, [entry], ef, 0)
+    .slice(0, k)
+    .map(({ node, score }) => ({ row: index.rows[node], score }));
+}
+
+/** saveHnswIndex -> writes the graph (not the vectors) as JSON */
+export async function saveHnswIndex(index, indexPath) {
+  await fs.ensureDir(path.dirname(path.resolve(indexPath)));
+  await fs.writeJSON(indexPath, {
+    format: FORMAT,
+    version: VERSION,
+    params: index.params,
+    space: index.space,
+    dim: index.dim,
+    count: index.ids.length,
+    entryPoint: index.entryPoint,
+    maxLevel: index.maxLevel,
+    ids: index.ids,
+    levels: index.levels,
+    links: index.links
+  });
+  return indexPath;
+}
+
+/**
+ * restoreHnswIndex(saved, indexPath)
+ * - the graph from a saved index file, without rows and vectors: loadIndex in ann-index.js
+ *   reattaches those from the embeddings it was built from
+ */
+export function restoreHnswIndex(saved, indexPath) {
+  if (saved.format !== FORMAT) throw new Error(`${indexPath} is not an HNSW index`);
+  if (saved.version !== VERSION) {
+    throw new Error(`Unsupported HNSW index version ${saved.version} in ${indexPath}`);
+  }
+
+  return {
+    type: FORMAT,
+    params: saved.params,
+    space: saved.space,
+    dim: saved.dim,
+    ids: saved.ids,
+    levels: saved.levels,
+    links: saved.links,
+    entryPoint: saved.entryPoint,
+    maxLevel: saved.maxLevel
+  };
+}
@@ -0,0 +1,190 @@
+// interactions.js - Clickstream (view / add-to-cart / purchase) logs
+//
+// The log is JSONL, one event per line:
+//   {"user_id": "u1", "item_id": "15970", "event": "view", "timestamp": "2024-05-01T10:00:00Z"}
+// timestamp may also be epoch seconds or milliseconds. Each event counts with the weight of
+// its type, halved every `halfLifeDays` before the newest event in the log, so recent and
+// stronger signals dominate. Users nobody has seen yet get the most popular items.
+
+import fs from 'fs-extra';
+import readline from 'readline';
+import { vectorFor } from './fusion.js';
+import { compileFilter } from './filter.js';
+import { weightedCentroid } from './multi-query.js';
+import { nearestNeighbors } from './predictor.js';
+
+export const EVENT_TYPES = ['view', 'add_to_cart', 'purchase'];
+
+export const DEFAULT_EVENT_WEIGHTS = { view: 1, add_to_cart: 3, purchase: 5 };
+
+export const DEFAULT_HALF_LIFE_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** normalizeEvent('Add-To-Cart') -> 'add_to_cart', or null for unknown types */
+function normalizeEvent(event) {
+  const name = String(event ?? '').trim().toLowerCase().replace(/[-\s]+/g, '_');
+  return EVENT_TYPES.includes(name) ? name : null;
+}
+
+/**
+ * parseTimestamp -> epoch ms from an ISO string or epoch seconds / ms (as a number or a
+ * numeric string such as "1714600000"); NaN if invalid
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'string' && /^\s*\d+(\.\d+)?\s*$/.test(value)) value = Number(value);
+  if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+  return Date.parse(value);
+}
+
+/**
+ * loadInteractions(logPath)
+ * - streams the JSONL log; lines that aren't valid JSON or lack a user, item, known event
+ *   type or timestamp are skipped and counted
+ * - returns { events: [{ user, item, event, time }] (oldest first), byUser: Map user -> events,
+ *   latest: newest event time, skipped }
+ */
+export async function loadInteractions(logPath) {
+  const events = [];
+  let skipped = 0;
+  const lines = readline.createInterface({ input: fs.createReadStream(logPath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      skipped++;
+      continue;
+    }
+    const user = record.user_id ?? null;
+    const item = record.item_id ?? null;
+    const event = normalizeEvent(record.event);
+    const time = parseTimestamp(record.timestamp);
+    if (user === null || item === null || !event || Number.isNaN(time)) {
+      skipped++;
+      continue;
+    }
+    events.push({ user: String(user), item: String(item), event, time });
+  }
+
+  events.sort((a, b) => a.time - b.time);
+  const byUser = new Map();
+  for (const e of events) {
+    if (!byUser.has(e.user)) byUser.set(e.user, []);
+    byUser.get(e.user).push(e);
+  }
+  return { events, byUser, latest: events.length ? events[events.length - 1].time : 0, skipped };
+}
+
+/**
+ * eventWeight(event, now, { weights, halfLifeDays })
+ * - weight of the event type, halved every halfLifeDays between the event and `now`
+ */
+export function eventWeight(event, now, { weights = DEFAULT_EVENT_WEIGHTS, halfLifeDays = DEFAULT_HALF_LIFE_DAYS } = {}) {
+  const ageDays = Math.max(0, now - event.time) / DAY_MS;
+  return (weights[event.event] ?? 0) * Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+/**
+ * itemWeights(events, options) -> Map item -> summed decayed weight
+ * - options: { weights, halfLifeDays, now } where now defaults to the newest event given
+ */
+export function itemWeights(events, options = {}) {
+  const now = options.now ?? events.reduce((max, e) => Math.max(max, e.time), -Infinity);
+  const totals = new Map();
+  for (const e of events) {
+    totals.set(e.item, (totals.get(e.item) || 0) + eventWeight(e, now, options));
+  }
+  return totals;
+}
+
+/**
+ * userHistory(interactions, userId, options)
+ * - { weights: Map item -> decayed weight, purchased: Set of items } for one user; both
+ *   empty for users the log has never seen
+ * - options: { weights, halfLifeDays, now } with now defaulting to the newest event in the log
+ */
+export function userHistory(interactions, userId, options = {}) {
+  const events = interactions.byUser.get(String(userId)) || [];
+  const now = options.now ?? interactions.latest;
+  return {
+    weights: events.length ? itemWeights(events, { ...options, now }) : new Map(),
+    purchased: new Set(events.filter(e => e.event === 'purchase').map(e => e.item))
+  };
+}
+
+// interactions -> Map of options key -> popularity ranking
+const popularityCache = new WeakMap();
+
+/**
+ * popularity(interactions, options) -> [{ item, score }] most popular first, where score
+ * is the decayed weight summed over all users (cached per options)
+ */
+export function popularity(interactions, options = {}) {
+  const key = JSON.stringify([options.weights, options.halfLifeDays, options.now]);
+  let cached = popularityCache.get(interactions);
+  if (!cached) popularityCache.set(interactions, cached = new Map());
+  if (!cached.has(key)) {
+    const totals = interactions.events.length
+      ? itemWeights(interactions.events, { ...options, now: options.now ?? interactions.latest })
+      : new Map();
+    cached.set(key, [...totals.entries()]
+      .map(([item, score]) => ({ item, score }))
+      .sort((a, b) => b.score - a.score));
+  }
+  return cached.get(key);
+}
+
+/** parseEventWeights('view=1,add_to_cart=3,purchase=5') -> { view: 1, ... } for the CLI */
+export function parseEventWeights(spec) {
+  const weights = { ...DEFAULT_EVENT_WEIGHTS };
+  for (const pair of spec.split(',')) {
+    const [name, w] = pair.split('=');
+    const event = normalizeEvent(name);
+    if (!event || !(Number(w) >= 0)) throw new Error(`Invalid event weight: ${pair}. Events: ${EVENT_TYPES.join(', ')}`);
+    weights[event] = Number(w);
+  }
+  return weights;
+}
+
+/**
+ * recommendForUser(userId, embeddingsObj, interactions, k=10, options={})
+ * - personalized recommendations from a user's clickstream (see userHistory): the
+ *   search vector is the mean of the items the user interacted with, weighted by event
+ *   type and recency; items the user already purchased are never returned
+ * - interactions: the result of loadInteractions(logPath)
+ * - users without any interaction on a catalog item get the most popular items instead
+ * - options: { weights, halfLifeDays, now } for the event weighting, excludeSeen to also
+ *   drop items the user viewed or carted, plus space/index/filter/diversify as for
+ *   predictFromImage (the popularity fallback only honours filter and exclude)
+ * - returns { user, strategy: 'personalized' | 'popularity', history, topK } where history
+ *   is the number of catalog items the user embedding was built from
+ */
+export function recommendForUser(userId, embeddingsObj, interactions, k = 10, options = {}) {
+  const space = options.space ?? 'image';
+  const { weights, purchased } = userHistory(interactions, userId, options);
+  const history = [...weights.entries()].filter(([id, w]) => w > 0 && embeddingsObj.byId.has(id));
+  const exclude = [...(options.exclude || []), ...purchased];
+  if (options.excludeSeen) exclude.push(...weights.keys());
+
+  if (!history.length) {
+    const excluded = new Set(exclude);
+    const matches = compileFilter(options.filter);
+    const topK = [];
+    for (const { item, score } of popularity(interactions, options)) {
+      const row = embeddingsObj.byId.get(item);
+      if (!row || excluded.has(item) || (matches && !matches(row.metadata))) continue;
+      topK.push({ id: item, metadata: row.metadata, score });
+      if (topK.length >= k) break;
+    }
+    return { user: userId, strategy: 'popularity', history: 0, topK };
+  }
+
+  const q = weightedCentroid(
+    history.map(([id]) => vectorFor(embeddingsObj.byId.get(id), space)),
+    history.map(([, w]) => w)
+  );
+  const topK = nearestNeighbors(q, embeddingsObj, k, { ...options, space, excludeId: null, exclude });
+  return { user: userId, strategy: 'personalized', history: history.length, topK };
+}
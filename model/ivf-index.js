@@ -0,0 +1,303 @@
+// ivf-index.js - Inverted-file index (k-means partitioned) with optional product quantization
+//
+// Build: k-means splits the catalog into `nlist` lists around unit-length centroids. With
+// PQ enabled, every vector is also compressed to `m` one-byte codes: the vector is cut into
+// m sub-vectors and each is replaced by the id of its nearest centroid in a per-slice
+// codebook (2^bits entries), so a 768-dim float32 embedding (3 KB) becomes m bytes.
+//
+// Query: score the `nprobe` lists whose centroids are closest to q. With PQ, candidates are
+// scored from their codes via one lookup table per slice (asymmetric distance), then the
+// best `rerank` of them are re-scored with exact dot products; without PQ they are scored
+// exactly straight away.
+//
+// Only centroids, lists, codebooks and codes are saved (<name>.json), so the index file is
+// small; loading an index reattaches it to the embeddings it was built from. With PQ, those
+// embeddings can be opened with their vectors left on disk (loadEmbeddings' vectorsOnDisk):
+// the scan then only touches the codes, and just the `rerank` candidates are read back from
+// the .bin matrix, so resident memory is about m bytes per item plus ids and metadata.
+
+import fs from 'fs-extra';
+import path from 'path';
+import { dot, seededRandom } from './utils.js';
+import { vectorFor } from './fusion.js';
+
+const FORMAT = 'ivf';
+const VERSION = 1;
+
+export const DEFAULT_IVF_PARAMS = {
+  nlist: null,       // number of lists; defaults to ~sqrt(N)
+  nprobe: 8,         // lists scanned per query
+  iterations: 15,    // k-means iterations (coarse quantizer and PQ codebooks)
+  trainSize: 50000,  // vectors sampled to train k-means
+  pq: null,          // { m, bits=8 } to compress vectors; null stores no codes
+  rerank: 50,        // PQ candidates re-scored exactly (0 = return PQ scores)
+  seed: 42
+};
+
+function squaredDistance(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    s += d * d;
+  }
+  return s;
+}
+
+function nearestCentroid(v, centroids) {
+  let best = 0, bestDist = Infinity;
+  for (let c = 0; c < centroids.length; c++) {
+    const d = squaredDistance(v, centroids[c]);
+    if (d < bestDist) { bestDist = d; best = c; }
+  }
+  return best;
+}
+
+function normalizeInPlace(v) {
+  const norm = Math.sqrt(dot(v, v)) || 1e-12;
+  for (let i = 0; i < v.length; i++) v[i] /= norm;
+  return v;
+}
+
+/** sample -> up to n vectors drawn without replacement */
+function sample(vectors, n, random) {
+  if (vectors.length <= n) return vectors;
+  const picked = vectors.slice();
+  for (let i = 0; i < n; i++) {
+    const j = i + Math.floor(random() * (picked.length - i));
+    [picked[i], picked[j]] = [picked[j], picked[i]];
+  }
+  return picked.slice(0, n);
+}
+
+/**
+ * kmeans(vectors, k, { iterations, random, spherical })
+ * - Lloyd's algorithm with k-means++ seeding; spherical keeps centroids unit-length
+ * - returns k (or fewer, if there are fewer distinct points) Float32Array centroids
+ */
+function kmeans(vectors, k, { iterations, random, spherical }) {
+  k = Math.min(k, vectors.length);
+  const dim = vectors[0].length;
+
+  // k-means++: each next seed is drawn with probability proportional to its squared
+  // distance from the seeds chosen so far
+  const centroids = [Float32Array.from(vectors[Math.floor(random() * vectors.length)])];
+  const dist = vectors.map(v => squaredDistance(v, centroids[0]));
+  while (centroids.length < k) {
+    const total = dist.reduce((s, d) => s + d, 0);
+    if (total === 0) break; // fewer distinct points than k
+    let r = random() * total, pick = 0;
+    while (r > dist[pick] && pick < vectors.length - 1) r -= dist[pick++];
+    const seed = Float32Array.from(vectors[pick]);
+    centroids.push(seed);
+    vectors.forEach((v, i) => { dist[i] = Math.min(dist[i], squaredDistance(v, seed)); });
+  }
+
+  const assign = new Int32Array(vectors.length).fill(-1);
+  for (let iter = 0; iter < iterations; iter++) {
+    let moved = 0;
+    vectors.forEach((v, i) => {
+      const c = nearestCentroid(v, centroids);
+      if (c !== assign[i]) { assign[i] = c; moved++; }
+    });
+    if (moved === 0) break;
+
+    const sums = centroids.map(() => new Float64Array(dim));
+    const counts = new Int32Array(centroids.length);
+    vectors.forEach((v, i) => {
+      const sum = sums[assign[i]];
+      for (let d = 0; d < dim; d++) sum[d] += v[d];
+      counts[assign[i]]++;
+    });
+    centroids.forEach((c, ci) => {
+      if (counts[ci] === 0) {
+        // empty cluster: restart it from a random point
+        c.set(vectors[Math.floor(random() * vectors.length)]);
+      } else {
+        for (let d = 0; d < dim; d++) c[d] = sums[ci][d] / counts[ci];
+      }
+      if (spherical) normalizeInPlace(c);
+    });
+  }
+
+  return centroids;
+}
+
+/** trainProductQuantizer -> { m, bits, dsub, codebooks[m][2^bits] } */
+function trainProductQuantizer(vectors, { m, bits = 8 }, { iterations, random }) {
+  const dim = vectors[0].length;
+  if (!Number.isInteger(m) || m < 1 || dim % m !== 0) {
+    throw new Error(`PQ m must divide the embedding dimension ${dim}, got ${m}`);
+  }
+  if (bits < 1 || bits > 8) throw new Error(`PQ bits must be between 1 and 8, got ${bits}`);
+
+  const dsub = dim / m;
+  const codebooks = [];
+  for (let j = 0; j < m; j++) {
+    const slices = vectors.map(v => v.slice(j * dsub, (j + 1) * dsub));
+    codebooks.push(kmeans(slices, 2 ** bits, { iterations, random, spherical: false }));
+  }
+  return { m, bits, dsub, codebooks };
+}
+
+function encodeVector(pq, v, codes, offset) {
+  for (let j = 0; j < pq.m; j++) {
+    codes[offset + j] = nearestCentroid(v.slice(j * pq.dsub, (j + 1) * pq.dsub), pq.codebooks[j]);
+  }
+}
+
+/** lookupTables -> per slice, the dot product of q's slice with every codebook entry */
+function lookupTables(pq, q) {
+  return pq.codebooks.map((codebook, j) => {
+    const sub = q.slice(j * pq.dsub, (j + 1) * pq.dsub);
+    return Float32Array.from(codebook, c => dot(sub, c));
+  });
+}
+
+/**
+ * buildIvfIndex(rows, { nlist, nprobe=8, iterations=15, trainSize, pq, rerank=50, seed, space='image' })
+ * - rows: embeddings rows as returned by loadEmbeddings
+ * - nlist: number of k-means lists (default ~sqrt(N)); nprobe: lists scanned per query
+ * - pq: { m, bits=8 } compresses each vector to m codes of `bits` bits; m must divide the
+ *   dimension (e.g. 48 or 96 for 768-dim SigLIP embeddings)
+ * - rerank: with PQ, how many candidates are re-scored with exact dot products
+ */
+export function buildIvfIndex(rows, options = {}) {
+  const { space = 'image', ...overrides } = options;
+  const params = { ...DEFAULT_IVF_PARAMS, ...overrides };
+  if (!rows.length) throw new Error('Cannot build an IVF index over zero rows');
+
+  const vectors = rows.map(r => vectorFor(r, space));
+  const random = seededRandom(params.seed);
+  params.nlist = Math.max(1, Math.min(params.nlist ?? Math.round(Math.sqrt(rows.length)), rows.length));
+
+  const training = sample(vectors, params.trainSize, random);
+  const centroids = kmeans(training, params.nlist, { iterations: params.iterations, random, spherical: true });
+  params.nlist = centroids.length;
+
+  const lists = centroids.map(() => []);
+  vectors.forEach((v, node) => lists[nearestCentroid(v, centroids)].push(node));
+
+  let pq = null, codes = null;
+  if (params.pq) {
+    pq = trainProductQuantizer(training, params.pq, { iterations: params.iterations, random });
+    params.pq = { m: pq.m, bits: pq.bits };
+    codes = new Uint8Array(rows.length * pq.m);
+    vectors.forEach((v, node) => encodeVector(pq, v, codes, node * pq.m));
+  }
+
+  return {
+    type: FORMAT,
+    params,
+    space,
+    dim: vectors[0].length,
+    ids: rows.map(r => r.id),
+    rows,
+    vectors,
+    centroids,
+    lists,
+    pq,
+    codes
+  };
+}
+
+/**
+ * indexVector(index, node) -> the node's full vector; an index attached to embeddings whose
+ * vectors stay on disk has no `vectors`, and reads it from the row instead
+ */
+export function indexVector(index, node) {
+  return index.vectors ? index.vectors[node] : vectorFor(index.rows[node], index.space);
+}
+
+/**
+ * searchIvf(index, q, k=5, { nprobe, rerank })
+ * - returns up to k [{ row, score }] best first
+ */
+export function searchIvf(index, q, k = 5, { nprobe, rerank } = {}) {
+  if (q.length !== index.dim) {
+    throw new Error(`Query has dimension ${q.length}, index expects ${index.dim}`);
+  }
+  nprobe = Math.min(nprobe ?? index.params.nprobe, index.centroids.length);
+  rerank = rerank ?? index.params.rerank;
+
+  const probed = index.centroids
+    .map((c, list) => ({ list, score: dot(q, c) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, nprobe);
+
+  const tables = index.pq ? lookupTables(index.pq, q) : null;
+  const m = index.pq?.m;
+  let candidates = [];
+  for (const { list } of probed) {
+    for (const node of index.lists[list]) {
+      let score;
+      if (tables) {
+        score = 0;
+        for (let j = 0; j < m; j++) score += tables[j][index.codes[node * m + j]];
+      } else {
+        score = dot(q, indexVector(index, node));
+      }
+      candidates.push({ node, score });
+    }
+  }
+  candidates.sort((a, b) => b.score - a.score);
+
+  if (tables && rerank > 0) {
+    candidates = candidates
+      .slice(0, Math.max(rerank, k))
+      .map(({ node }) => ({ node, score: dot(q, indexVector(index, node)) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  return candidates.slice(0, k).map(({ node, score }) => ({ row: index.rows[node], score }));
+}
+
+/** saveIvfIndex -> writes centroids, lists and (with PQ) codebooks and codes as JSON */
+export async function saveIvfIndex(index, indexPath) {
+  await fs.ensureDir(path.dirname(path.resolve(indexPath)));
+  await fs.writeJSON(indexPath, {
+    format: FORMAT,
+    version: VERSION,
+    params: index.params,
+    space: index.space,
+    dim: index.dim,
+    count: index.ids.length,
+    ids: index.ids,
+    centroids: index.centroids.map(c => Array.from(c)),
+    lists: index.lists,
+    pq: index.pq && {
+      m: index.pq.m,
+      bits: index.pq.bits,
+      dsub: index.pq.dsub,
+      codebooks: index.pq.codebooks.map(cb => cb.map(c => Array.from(c)))
+    },
+    codes: index.codes && Buffer.from(index.codes.buffer, index.codes.byteOffset, index.codes.byteLength).toString('base64')
+  });
+  return indexPath;
+}
+
+/**
+ * restoreIvfIndex(saved, indexPath)
+ * - the lists (and PQ codes) from a saved index file, without rows and vectors: loadIndex
+ *   in ann-index.js reattaches those from the embeddings it was built from
+ */
+export function restoreIvfIndex(saved, indexPath) {
+  if (saved.format !== FORMAT) throw new Error(`${indexPath} is not an IVF index`);
+  if (saved.version !== VERSION) {
+    throw new Error(`Unsupported IVF index version ${saved.version} in ${indexPath}`);
+  }
+
+  return {
+    type: FORMAT,
+    params: saved.params,
+    space: saved.space,
+    dim: saved.dim,
+    ids: saved.ids,
+    centroids: saved.centroids.map(c => Float32Array.from(c)),
+    lists: saved.lists,
+    pq: saved.pq && {
+      ...saved.pq,
+      codebooks: saved.pq.codebooks.map(cb => cb.map(c => Float32Array.from(c)))
+    },
+    codes: saved.codes && new Uint8Array(Buffer.from(saved.codes, 'base64'))
+  };
+}
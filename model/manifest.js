@@ -0,0 +1,125 @@
+// manifest.js - Provenance manifests for embeddings files
+//
+// Every embeddings file written by the embedder gets a <file>.manifest.json next to it
+// recording which model and inputs produced it, so files built with different models
+// (or dimensions) are never silently mixed at query or evaluation time.
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+
+export const MANIFEST_VERSION = 1;
+
+// Fields that must agree for two embeddings files to share one vector space
+const COMPATIBILITY_FIELDS = ['model_id', 'model_revision', 'dtype', 'dim', 'normalization', 'fusion'];
+
+/**
+ * manifestPathFor('out/embeddings.bin') -> 'out/embeddings.bin.manifest.json'
+ * - keeps the extension, so embeddings.json and its embeddings.bin conversion each have
+ *   their own manifest
+ */
+export function manifestPathFor(embPath) {
+  return `${embPath}.manifest.json`;
+}
+
+/** sha256File -> hex sha256 of a file, streamed so large files stay out of memory */
+export function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', err => reject(err));
+  });
+}
+
+/**
+ * checksumImages(imagePaths)
+ * - single digest over the listed files in the given order (sha256 of each file's sha256),
+ *   so any changed, added or removed image changes the result
+ */
+export async function checksumImages(imagePaths) {
+  const hash = crypto.createHash('sha256');
+  for (const imagePath of imagePaths) {
+    hash.update(`${path.basename(imagePath)}:${await sha256File(imagePath)}\n`);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * writeManifest(embPath, manifest)
+ * - writes <file>.manifest.json via a temporary file + rename
+ */
+export async function writeManifest(embPath, manifest) {
+  const manifestPath = manifestPathFor(embPath);
+  const tmpPath = `${manifestPath}.tmp-${process.pid}`;
+  await fs.writeJSON(tmpPath, { manifest_version: MANIFEST_VERSION, ...manifest }, { spaces: 2 });
+  await fs.rename(tmpPath, manifestPath);
+  return manifestPath;
+}
+
+/** readManifest -> the manifest next to embPath, or null for files produced before manifests existed */
+export async function readManifest(embPath) {
+  const manifestPath = manifestPathFor(embPath);
+  if (!await fs.pathExists(manifestPath)) return null;
+  return fs.readJSON(manifestPath);
+}
+
+/**
+ * verifyManifest(manifest, rows, embPath, dim)
+ * - throws if the file content disagrees with its manifest (wrong dimension or item count)
+ * - dim: the file's dimension when its format has a single one (binary files), so the
+ *   rows aren't checked one by one
+ */
+export function verifyManifest(manifest, rows, embPath, dim = null) {
+  if (!manifest) return;
+  if (manifest.item_count !== rows.length) {
+    throw new Error(`${embPath} has ${rows.length} items but its manifest records ${manifest.item_count}`);
+  }
+  if (dim !== null) {
+    if (rows.length && dim !== manifest.dim) {
+      throw new Error(`${embPath} has dimension ${dim}, manifest records ${manifest.dim}`);
+    }
+    return;
+  }
+  const bad = rows.find(r => r.embedding.length !== manifest.dim);
+  if (bad) {
+    throw new Error(`${embPath}: embedding for id ${bad.id} has dimension ${bad.embedding.length}, manifest records ${manifest.dim}`);
+  }
+}
+
+/**
+ * assertCompatibleManifests([{ path, manifest }])
+ * - throws if any two files were produced by different models/dtypes or have different
+ *   dimensions, normalization or fusion settings; files without a manifest are only checked by dimension
+ *   by the caller
+ */
+export function assertCompatibleManifests(parts) {
+  const withManifest = parts.filter(p => p.manifest);
+  if (withManifest.length < 2) return;
+
+  const [ref, ...others] = withManifest;
+  for (const other of others) {
+    for (const field of COMPATIBILITY_FIELDS) {
+      // fusion is an object (weights, fields, attribute vocab); older manifests lack it
+      const a = JSON.stringify(ref.manifest[field] ?? null);
+      const b = JSON.stringify(other.manifest[field] ?? null);
+      if (a !== b) {
+        throw new Error(
+          `Refusing to mix embeddings: ${ref.path} has ${field}=${a} ` +
+          `but ${other.path} has ${field}=${b}`
+        );
+      }
+    }
+  }
+}
+
+/**
+ * assertQueryModel(manifest, modelId)
+ * - throws if a query encoded with modelId would be compared against embeddings from another model
+ */
+export function assertQueryModel(manifest, modelId) {
+  if (manifest && manifest.model_id !== modelId) {
+    throw new Error(`Embeddings were produced by ${manifest.model_id}, cannot query them with ${modelId}`);
+  }
+}
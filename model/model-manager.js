@@ -0,0 +1,178 @@
+// model-manager.js
+import * as transformers from '@huggingface/transformers';
+import { AutoProcessor, AutoTokenizer, RawImage, env } from '@huggingface/transformers';
+import { DEFAULT_PROFILE, resolveModelProfile } from './model-registry.js';
+
+export const DEFAULT_MODEL_ID = resolveModelProfile(DEFAULT_PROFILE).modelId;
+
+// key -> Promise<{ kind, modelId, revision, dtype, profile, model, processor|tokenizer }>
+// Promises are cached (not resolved values) so concurrent callers share one load.
+const loaded = new Map();
+
+function cacheKey(kind, modelId, dtype, revision) {
+  return `${kind}|${modelId}|${dtype ?? 'default'}|${revision}`;
+}
+
+function load(kind, modelId, dtype, revision, loader) {
+  const key = cacheKey(kind, modelId, dtype, revision);
+  if (!loaded.has(key)) {
+    const pending = loader().catch(err => {
+      // don't cache failures, the next caller should retry the load
+      loaded.delete(key);
+      throw err;
+    });
+    loaded.set(key, pending);
+  }
+  return loaded.get(key);
+}
+
+function modelOptions(dtype, sessionOptions, revision) {
+  const options = { revision };
+  if (dtype) options.dtype = dtype;
+  if (sessionOptions) options.session_options = sessionOptions;
+  return options;
+}
+
+function modelClass(className) {
+  const cls = transformers[className];
+  if (!cls) throw new Error(`@huggingface/transformers has no model class ${className}`);
+  return cls;
+}
+
+const COMMIT_SHA = /^[0-9a-f]{40}$/;
+
+// an offline machine shouldn't stall on the lookup before falling back to the cache
+const REVISION_LOOKUP_TIMEOUT_MS = 10000;
+
+/**
+ * resolveRevision(profile, revision)
+ * - turns a hub branch or tag (default: the profile's revision, else 'main') into the
+ *   commit it currently points at, so a load can be pinned to it and recorded; commit
+ *   hashes are returned as given
+ * - returns null when remote models are disabled, since local files have no hub commit
+ */
+export async function resolveRevision(profileRef = DEFAULT_PROFILE, revision = null) {
+  const profile = resolveModelProfile(profileRef);
+  const ref = revision ?? profile.revision ?? 'main';
+  if (COMMIT_SHA.test(ref)) return ref;
+  if (!env.allowRemoteModels) return null;
+
+  const url = `${env.remoteHost.replace(/\/$/, '')}/api/models/${profile.modelId}/revision/${encodeURIComponent(ref)}`;
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(REVISION_LOOKUP_TIMEOUT_MS) });
+  } catch (err) {
+    throw new Error(`Could not resolve revision ${ref} of ${profile.modelId} (${err.message})`);
+  }
+  if (!response.ok) {
+    throw new Error(`Could not resolve revision ${ref} of ${profile.modelId}: ${url} returned ${response.status}`);
+  }
+  const { sha } = await response.json();
+  if (!COMMIT_SHA.test(sha ?? '')) throw new Error(`${url} did not return a commit hash for ${ref}`);
+  return sha;
+}
+
+/**
+ * getVisionModel(profile, { dtype, revision, sessionOptions })
+ * - profile: profile name, profile object or hub model id (see model-registry.js)
+ * - returns { processor, model, profile } for the vision tower, loading it once per process
+ * - dtype and revision (hub branch, tag or commit) override the profile's; sessionOptions
+ *   (e.g. { intraOpNumThreads }) are passed to onnxruntime and only take effect on the
+ *   first load of a given model id + dtype + revision
+ */
+export function getVisionModel(profileRef = DEFAULT_PROFILE, { dtype, revision, sessionOptions } = {}) {
+  const profile = resolveModelProfile(profileRef);
+  const effectiveDtype = dtype ?? profile.dtype;
+  const effectiveRevision = revision ?? profile.revision ?? 'main';
+  return load('vision', profile.modelId, effectiveDtype, effectiveRevision, async () => {
+    const options = modelOptions(effectiveDtype, sessionOptions, effectiveRevision);
+    const processor = await AutoProcessor.from_pretrained(profile.modelId, { revision: effectiveRevision });
+    const model = await modelClass(profile.visionClass).from_pretrained(profile.modelId, options);
+    return { kind: 'vision', modelId: profile.modelId, revision: effectiveRevision, dtype: effectiveDtype, profile, processor, model };
+  });
+}
+
+/**
+ * getTextModel(profile, { dtype, revision, sessionOptions })
+ * - returns { tokenizer, model, profile } for the text tower, loading it once per process
+ */
+export function getTextModel(profileRef = DEFAULT_PROFILE, { dtype, revision, sessionOptions } = {}) {
+  const profile = resolveModelProfile(profileRef);
+  if (!profile.textClass) {
+    throw new Error(`Model profile ${profile.name} has no text tower`);
+  }
+  const effectiveDtype = dtype ?? profile.dtype;
+  const effectiveRevision = revision ?? profile.revision ?? 'main';
+  return load('text', profile.modelId, effectiveDtype, effectiveRevision, async () => {
+    const options = modelOptions(effectiveDtype, sessionOptions, effectiveRevision);
+    const tokenizer = await AutoTokenizer.from_pretrained(profile.modelId, { revision: effectiveRevision });
+    const model = await modelClass(profile.textClass).from_pretrained(profile.modelId, options);
+    return { kind: 'text', modelId: profile.modelId, revision: effectiveRevision, dtype: effectiveDtype, profile, tokenizer, model };
+  });
+}
+
+/**
+ * selectOutput(result, key)
+ * - picks the embedding tensor out of a model output, preferring the profile's key and
+ *   falling back to the keys SigLIP/CLIP-style models commonly use
+ */
+export function selectOutput(result, key) {
+  return result[key] ?? result.image_embeds ?? result.text_embeds ?? result.image_features ??
+    result.embeddings ?? result.pooler_output;
+}
+
+/**
+ * warmupModels(profile, { dtype, revision, vision=true, text=false })
+ * - loads the requested towers and runs one dummy forward pass through each, so the
+ *   first real query doesn't pay for ONNX session initialisation
+ * - returns load+warmup time in ms per tower
+ */
+export async function warmupModels(profileRef = DEFAULT_PROFILE, { dtype, revision, vision = true, text = false } = {}) {
+  const timings = {};
+
+  if (vision) {
+    const start = Date.now();
+    const { processor, model } = await getVisionModel(profileRef, { dtype, revision });
+    const blank = new RawImage(new Uint8ClampedArray(224 * 224 * 3), 224, 224, 3);
+    await model(await processor(blank));
+    timings.vision_ms = Date.now() - start;
+  }
+
+  if (text) {
+    const start = Date.now();
+    const { tokenizer, model, profile } = await getTextModel(profileRef, { dtype, revision });
+    await model(tokenizer(['warmup'], { padding: profile.textPadding, truncation: true }));
+    timings.text_ms = Date.now() - start;
+  }
+
+  return timings;
+}
+
+/**
+ * disposeModels(modelId?)
+ * - releases the ONNX sessions of every loaded model, or only those of `modelId`
+ */
+export async function disposeModels(modelId = null) {
+  const keys = [...loaded.keys()].filter(key => !modelId || key.split('|')[1] === modelId);
+
+  for (const key of keys) {
+    const pending = loaded.get(key);
+    loaded.delete(key);
+    try {
+      const entry = await pending;
+      await entry.model.dispose?.();
+    } catch (err) {
+      // a failed load has nothing to release
+    }
+  }
+
+  return keys.length;
+}
+
+/** listLoadedModels -> [{ kind, modelId, dtype, revision }] for everything currently cached */
+export function listLoadedModels() {
+  return [...loaded.keys()].map(key => {
+    const [kind, modelId, dtype, revision] = key.split('|');
+    return { kind, modelId, dtype, revision };
+  });
+}
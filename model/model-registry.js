@@ -0,0 +1,114 @@
+// model-registry.js - Named embedding model profiles
+//
+// A profile describes everything the embedder and predictor need to know about a
+// checkpoint: which transformers.js classes load its towers, which output tensor holds
+// the embedding, the dtype/quantization to load and the dimension it must produce.
+
+export const DEFAULT_PROFILE = 'fashion-siglip';
+
+export const MODEL_PROFILES = {
+  'fashion-siglip': {
+    modelId: 'Marqo/marqo-fashionSigLIP',
+    visionClass: 'SiglipVisionModel',
+    textClass: 'SiglipTextModel',
+    imageOutputKey: 'pooler_output',
+    textOutputKey: 'pooler_output',
+    textPadding: 'max_length', // SigLIP was trained with max_length padding
+    dtype: null,
+    dim: 768
+  },
+  'fashion-siglip-q8': {
+    modelId: 'Marqo/marqo-fashionSigLIP',
+    visionClass: 'SiglipVisionModel',
+    textClass: 'SiglipTextModel',
+    imageOutputKey: 'pooler_output',
+    textOutputKey: 'pooler_output',
+    textPadding: 'max_length',
+    dtype: 'q8',
+    dim: 768
+  },
+  'fashion-clip': {
+    modelId: 'Marqo/marqo-fashionCLIP',
+    visionClass: 'CLIPVisionModelWithProjection',
+    textClass: 'CLIPTextModelWithProjection',
+    imageOutputKey: 'image_embeds',
+    textOutputKey: 'text_embeds',
+    textPadding: true,
+    dtype: null,
+    dim: 512
+  },
+  'siglip-base': {
+    modelId: 'Xenova/siglip-base-patch16-224',
+    visionClass: 'SiglipVisionModel',
+    textClass: 'SiglipTextModel',
+    imageOutputKey: 'pooler_output',
+    textOutputKey: 'pooler_output',
+    textPadding: 'max_length',
+    dtype: null,
+    dim: 768
+  },
+  'clip-vit-b32': {
+    modelId: 'Xenova/clip-vit-base-patch32',
+    visionClass: 'CLIPVisionModelWithProjection',
+    textClass: 'CLIPTextModelWithProjection',
+    imageOutputKey: 'image_embeds',
+    textOutputKey: 'text_embeds',
+    textPadding: true,
+    dtype: null,
+    dim: 512
+  }
+};
+
+/**
+ * getModelProfile(name)
+ * - returns the profile (with its `name`) or throws listing the available ones
+ */
+export function getModelProfile(name = DEFAULT_PROFILE) {
+  const profile = MODEL_PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown model profile: ${name}. Available: ${Object.keys(MODEL_PROFILES).join(', ')}`);
+  }
+  return { name, ...profile };
+}
+
+/**
+ * resolveModelProfile(ref)
+ * - ref may be a profile object, a profile name, or a hub model id ('org/name'); a model
+ *   id resolves to the first profile using it, or to a SigLIP-style profile for unknown ids
+ */
+export function resolveModelProfile(ref = DEFAULT_PROFILE) {
+  if (typeof ref === 'object' && ref !== null) return ref;
+  // anything that isn't an 'org/name' hub id must be a known profile name
+  if (MODEL_PROFILES[ref] || !String(ref).includes('/')) return getModelProfile(ref);
+
+  const match = Object.entries(MODEL_PROFILES).find(([, p]) => p.modelId === ref && !p.dtype);
+  if (match) return getModelProfile(match[0]);
+
+  return {
+    ...MODEL_PROFILES[DEFAULT_PROFILE],
+    name: ref,
+    modelId: ref,
+    dim: null // unknown checkpoint: don't enforce a dimension
+  };
+}
+
+/** registerModelProfile -> adds (or replaces) a named profile, e.g. for a local checkpoint */
+export function registerModelProfile(name, profile) {
+  const required = ['modelId', 'visionClass', 'imageOutputKey'];
+  const missing = required.filter(k => !profile[k]);
+  if (missing.length) {
+    throw new Error(`Model profile ${name} is missing: ${missing.join(', ')}`);
+  }
+  MODEL_PROFILES[name] = { textPadding: true, dtype: null, dim: null, ...profile };
+  return getModelProfile(name);
+}
+
+/** listModelProfiles -> [{ name, modelId, dtype, dim }] */
+export function listModelProfiles() {
+  return Object.entries(MODEL_PROFILES).map(([name, p]) => ({
+    name,
+    modelId: p.modelId,
+    dtype: p.dtype,
+    dim: p.dim
+  }));
+}
@@ -0,0 +1,118 @@
+// multi-query.js - Aggregating several query items into one recommendation list
+//
+//   centroid     search once with the weighted mean of the item vectors
+//   maxsim       score each candidate by its best weighted similarity to any item, so
+//                a shopper with two distinct tastes gets matches for both
+//   round-robin  take the items' own neighbor lists in turn (heaviest item first)
+
+import { dot, l2Normalize } from './utils.js';
+import { vectorFor } from './fusion.js';
+import { resolveQuery, nearestNeighbors, searchNeighbors } from './predictor.js';
+
+export const AGGREGATIONS = ['centroid', 'maxsim', 'round-robin'];
+
+/** weightedCentroid(vectors, weights) -> l2-normalized weighted mean */
+export function weightedCentroid(vectors, weights) {
+  const sum = new Array(vectors[0].length).fill(0);
+  vectors.forEach((v, i) => {
+    for (let d = 0; d < sum.length; d++) sum[d] += weights[i] * v[d];
+  });
+  return l2Normalize(sum);
+}
+
+/**
+ * maxSimScores(candidates, vectors, weights, vectorOf)
+ * - candidates: [{ id, metadata }]; returns them with score = max_i (w_i / max w) * cos(q_i, c)
+ *   and `source` = index of the item that scored best, best first
+ */
+export function maxSimScores(candidates, vectors, weights, vectorOf) {
+  const maxWeight = Math.max(...weights);
+  return candidates
+    .map(c => {
+      const v = vectorOf(c);
+      let score = -Infinity, source = -1;
+      vectors.forEach((q, i) => {
+        const s = (weights[i] / maxWeight) * dot(q, v);
+        if (s > score) { score = s; source = i; }
+      });
+      return { ...c, score, source };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * interleave(lists, weights, k)
+ * - round-robin over per-item neighbor lists, heaviest item first, skipping ids already
+ *   taken; each result records the index of the item it came from as `source`
+ */
+export function interleave(lists, weights, k) {
+  const order = lists.map((_, i) => i).sort((a, b) => weights[b] - weights[a]);
+  const cursors = lists.map(() => 0);
+  const seen = new Set();
+  const out = [];
+
+  while (out.length < k) {
+    let progressed = false;
+    for (const i of order) {
+      const list = lists[i];
+      while (cursors[i] < list.length && seen.has(list[cursors[i]].id)) cursors[i]++;
+      if (cursors[i] >= list.length) continue;
+      const next = list[cursors[i]++];
+      seen.add(next.id);
+      out.push({ ...next, source: i });
+      progressed = true;
+      if (out.length >= k) break;
+    }
+    if (!progressed) break;
+  }
+  return out;
+}
+
+/**
+ * recommendFromItems(items, embeddingsObj, k=10, options={})
+ * - recommendations for a set of items, e.g. a shopper's recent views; the input items
+ *   themselves are never returned
+ * - items: ids, or { id | image | vector, weight=1 } objects
+ * - options.aggregate: 'centroid' (default), 'maxsim' or 'round-robin' (see above)
+ * - options.poolFactor: for maxsim, neighbors fetched per item as a multiple of k (default 3)
+ * - options.space/index/filter/model: as for predictFromImage; options.diversify applies
+ *   to centroid and round-robin
+ * - returns { items, aggregate, topK } where maxsim and round-robin results carry
+ *   `source`, the index of the input item they were matched to
+ */
+export async function recommendFromItems(items, embeddingsObj, k = 10, options = {}) {
+  const aggregate = options.aggregate ?? 'centroid';
+  if (!AGGREGATIONS.includes(aggregate)) {
+    throw new Error(`Unknown aggregation: ${aggregate}. Available: ${AGGREGATIONS.join(', ')}`);
+  }
+  if (!items.length) throw new Error('recommendFromItems needs at least one item');
+
+  const queries = items.map(item => (typeof item === 'object' ? item : { id: item }));
+  const weights = queries.map(item => item.weight ?? 1);
+  if (weights.some(w => !(w > 0))) throw new Error('Item weights must be positive');
+
+  const resolved = [];
+  for (const item of queries) resolved.push(await resolveQuery(item, embeddingsObj, options));
+  const space = resolved[0].space;
+  const vectors = resolved.map(r => r.q);
+  const exclude = resolved.map(r => r.excludeId).filter(id => id !== null);
+  const search = { ...options, space, excludeId: null, exclude: [...(options.exclude || []), ...exclude] };
+
+  let topK;
+  if (aggregate === 'centroid') {
+    topK = nearestNeighbors(weightedCentroid(vectors, weights), embeddingsObj, k, search);
+  } else if (aggregate === 'round-robin') {
+    const lists = vectors.map(q => nearestNeighbors(q, embeddingsObj, k, search));
+    topK = interleave(lists, weights, k);
+  } else {
+    // candidates are the union of every item's neighbors, re-scored against all items
+    const pool = new Map();
+    for (const q of vectors) {
+      for (const n of searchNeighbors(q, embeddingsObj, k * (options.poolFactor ?? 3), search)) pool.set(n.id, n);
+    }
+    const vectorOf = n => vectorFor(embeddingsObj.byId.get(n.id), space);
+    topK = maxSimScores([...pool.values()], vectors, weights, vectorOf).slice(0, k);
+  }
+
+  return { items: queries, aggregate, topK };
+}
@@ -0,0 +1,145 @@
+// outfit.js - Slots and compatibility scoring for "complete the look" recommendations
+//
+// An outfit is made of slots (topwear, bottomwear, footwear, ...), each a metadata filter
+// over the catalog. Given an anchor item, every other slot is filled with items that are
+// close to it in embedding space (a proxy for visual style and colour) and consistent with
+// its gender, season and usage.
+
+import { compileFilter } from './filter.js';
+import { ATTRIBUTE_FIELDS, resolveQuery, predictAttributes, nearestNeighbors } from './predictor.js';
+
+export const OUTFIT_SLOTS = {
+  topwear: { subCategory: 'Topwear' },
+  bottomwear: { subCategory: 'Bottomwear' },
+  dress: { subCategory: ['Dress', 'Saree'] },
+  footwear: { masterCategory: 'Footwear' },
+  bags: { subCategory: 'Bags' },
+  watches: { subCategory: 'Watches' },
+  eyewear: { subCategory: 'Eyewear' },
+  accessories: { masterCategory: 'Accessories', subCategory: { nin: ['Bags', 'Watches', 'Eyewear'] } }
+};
+
+// slots that are not worn together (a dress takes the place of a top and a bottom)
+export const OUTFIT_CONFLICTS = {
+  dress: ['topwear', 'bottomwear'],
+  topwear: ['dress'],
+  bottomwear: ['dress']
+};
+
+// how much each signal contributes to an item's compatibility with the anchor
+export const DEFAULT_COMPATIBILITY_WEIGHTS = { embedding: 0.6, gender: 0.2, season: 0.1, usage: 0.1 };
+
+// genders that go with everything
+const NEUTRAL_GENDERS = ['Unisex'];
+
+/** slotOf(metadata, slots) -> name of the first slot whose filter matches, or null */
+export function slotOf(metadata, slots = OUTFIT_SLOTS) {
+  for (const [name, expr] of Object.entries(slots)) {
+    if (compileFilter(expr)(metadata)) return name;
+  }
+  return null;
+}
+
+/**
+ * resolveSlots(slots) -> { name: filter expression }
+ * - slots: null (all OUTFIT_SLOTS), a list of OUTFIT_SLOTS names, or custom definitions
+ */
+export function resolveSlots(slots = null) {
+  if (!slots) return OUTFIT_SLOTS;
+  if (!Array.isArray(slots)) return slots;
+  return Object.fromEntries(slots.map(name => {
+    if (!OUTFIT_SLOTS[name]) {
+      throw new Error(`Unknown outfit slot: ${name}. Available: ${Object.keys(OUTFIT_SLOTS).join(', ')}`);
+    }
+    return [name, OUTFIT_SLOTS[name]];
+  }));
+}
+
+/** genderFilter -> filter expression for items wearable with the anchor's gender */
+export function genderFilter(gender) {
+  if (!gender || NEUTRAL_GENDERS.includes(gender)) return null;
+  return { gender: [gender, ...NEUTRAL_GENDERS] };
+}
+
+/**
+ * compatibility(anchor, candidate, similarity, weights)
+ * - anchor/candidate: metadata objects; similarity: embedding cosine between them
+ * - returns { score, embedding, gender, season, usage } where each context signal is 1 on
+ *   a match, 0 on a mismatch and 0.5 when either side doesn't say (or is neutral, for
+ *   gender), and score is their weighted mean
+ */
+export function compatibility(anchor, candidate, similarity, weights = DEFAULT_COMPATIBILITY_WEIGHTS) {
+  const signals = { embedding: similarity };
+  for (const field of ['gender', 'season', 'usage']) {
+    const a = anchor[field], c = candidate[field];
+    if (!a || !c) signals[field] = 0.5;
+    else if (a === c) signals[field] = 1;
+    else if (field === 'gender' && (NEUTRAL_GENDERS.includes(a) || NEUTRAL_GENDERS.includes(c))) signals[field] = 0.5;
+    else signals[field] = 0;
+  }
+
+  let total = 0, weightSum = 0;
+  for (const [signal, w] of Object.entries(weights)) {
+    total += w * (signals[signal] ?? 0);
+    weightSum += w;
+  }
+  return { score: weightSum ? total / weightSum : 0, ...signals };
+}
+
+/**
+ * completeTheLook(query, embeddingsObj, options={})
+ * - recommends items from the other outfit slots (bottomwear, footwear, bags, ...) that go
+ *   with the query item; see OUTFIT_SLOTS for the slot definitions
+ * - query: { id }, { image: path } or { vector }; for non-catalog queries the gender,
+ *   season, usage and category are voted from the query's neighbors
+ * - options.slots: slot names to fill (default: all) or custom { name: filter } definitions
+ * - options.perSlot: items per slot (default 3); options.poolFactor: neighbors considered
+ *   per slot, as a multiple of perSlot (default 5)
+ * - options.weights: compatibility weights (embedding, gender, season, usage)
+ * - options.context: metadata overriding the anchor's, e.g. { season: 'Winter' }
+ * - options.space/index/filter/model: as for predictFromImage; filter (and exclude) only
+ *   restrict the slot items, not the neighbors the anchor is described by
+ * - returns { query, anchor: { slot, attributes }, slots: { slot: [items] }, outfit:
+ *   { slot: best item } } where items carry `compatibility` ({ score, embedding, gender,
+ *   season, usage }); slots with no compatible items are left out
+ */
+export async function completeTheLook(query, embeddingsObj, options = {}) {
+  const slots = resolveSlots(options.slots);
+  const perSlot = options.perSlot ?? 3;
+  const poolSize = perSlot * (options.poolFactor ?? 5);
+  const weights = { ...DEFAULT_COMPATIBILITY_WEIGHTS, ...(options.weights || {}) };
+  const { q, space, excludeId } = await resolveQuery(query, embeddingsObj, options);
+
+  // catalog items describe themselves; anything else is described by its neighbors, over
+  // the whole catalog: the caller's filter and exclusions only apply to the slot searches
+  const anchor = excludeId !== null
+    ? { ...embeddingsObj.byId.get(excludeId).metadata }
+    : (await predictAttributes({ vector: q }, embeddingsObj, ATTRIBUTE_FIELDS, 10, {
+      space,
+      index: options.index,
+      model: options.model
+    })).attributes;
+  Object.assign(anchor, options.context || {});
+
+  const anchorSlot = slotOf(anchor, { ...OUTFIT_SLOTS, ...slots });
+  const skip = new Set([anchorSlot, ...(OUTFIT_CONFLICTS[anchorSlot] || [])]);
+
+  const result = {};
+  for (const [slot, expr] of Object.entries(slots)) {
+    if (skip.has(slot)) continue;
+    const filter = { $and: [expr, genderFilter(anchor.gender) || {}, options.filter || {}] };
+    const pool = nearestNeighbors(q, embeddingsObj, poolSize, { ...options, space, excludeId, filter, diversify: null });
+    const items = pool
+      .map(n => ({ ...n, compatibility: compatibility(anchor, n.metadata, n.score, weights) }))
+      .sort((a, b) => b.compatibility.score - a.compatibility.score)
+      .slice(0, perSlot);
+    if (items.length) result[slot] = items;
+  }
+
+  return {
+    query,
+    anchor: { slot: anchorSlot, attributes: anchor },
+    slots: result,
+    outfit: Object.fromEntries(Object.entries(result).map(([slot, items]) => [slot, items[0]]))
+  };
+}
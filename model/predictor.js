@@ -1,86 +1,523 @@
-// predictor.js
+// predictor.js - Embedding search and attribute prediction
+//
+// The core every feature builds on: loading embeddings, encoding image and text queries,
+// nearest neighbor search (exact or through an ANN index) and voting attributes from the
+// neighbors. The features themselves (zero-shot labels, outfits, multi-item queries,
+// relevance feedback, user and hybrid recommendations, batches, calibration) live in their
+// own modules; their entry points are re-exported here and reachable from the CLI below.
 import fs from 'fs-extra';
 import path from 'path';
+import { isMainThread } from 'worker_threads';
+import { RawImage } from '@huggingface/transformers';
+import { cosineSimilarity, l2Normalize, vote, votingSettings } from './utils.js';
+import { getVisionModel, getTextModel, disposeModels, selectOutput } from './model-manager.js';
+import { DEFAULT_PROFILE, resolveModelProfile } from './model-registry.js';
+import { isBinaryEmbeddings, readBinaryEmbeddings, openBinaryEmbeddings } from './embedding-store.js';
+import { readManifest, verifyManifest, assertCompatibleManifests, assertQueryModel } from './manifest.js';
+import { vectorFor } from './fusion.js';
+import { searchIndex, loadIndex } from './ann-index.js';
+import { compileFilter, parseFilterArg } from './filter.js';
+import { TAXONOMY_FIELDS, buildTaxonomy, constrainToTaxonomy } from './taxonomy.js';
+import { DEFAULT_MMR, mmr } from './diversify.js';
+import { predictZeroShot } from './zero-shot.js';
+import { completeTheLook } from './outfit.js';
+import { recommendFromItems } from './multi-query.js';
+import { predictWithFeedback } from './feedback.js';
+import { loadInteractions, parseEventWeights, recommendForUser } from './interactions.js';
+import { buildCooccurrence, parseBlend, recommendHybrid } from './cooccurrence.js';
+import { listImages, createBatchWriter, predictBatch } from './batch.js';
 import {
-  AutoProcessor,
-  SiglipVisionModel,
-  RawImage
-} from '@huggingface/transformers';
-import { cosineSimilarity, l2Normalize, majorityVote } from './utils.js';
+  UNCERTAIN,
+  calibrationFeatures,
+  calibratedConfidence,
+  calibrationApplies,
+  readCalibration,
+  fitCalibration
+} from './calibration.js';
 
-const MODEL_ID = 'Marqo/marqo-fashionSigLIP';
+export {
+  predictZeroShot,
+  completeTheLook,
+  recommendFromItems,
+  predictWithFeedback,
+  recommendForUser,
+  recommendHybrid,
+  predictBatch,
+  fitCalibration
+};
+
+// spaces an encoded image or text query can be compared in; 'attributes' and 'fused'
+// vectors only exist for catalog items, so they are reachable through id queries
+const ENCODABLE_SPACES = ['image', 'text'];
+
+/**
+ * loadEmbeddings(embPath='embeddings.json', { vectorsOnDisk=false })
+ * - accepts either a JSON embeddings file or a binary .bin file (+ .meta.json sidecar);
+ *   the format is detected from the file header, not the extension
+ * - embPath may also be an array of files, which are merged; files whose manifests
+ *   disagree on model, dtype, dimension or normalization are rejected
+ * - vectorsOnDisk: load only ids and metadata of binary files and read vectors by offset
+ *   when they are used (see openBinaryEmbeddings); pair it with an IVF index with PQ codes
+ * - returns { rows, byId, manifest, calibration, vectorsOnDisk } (manifest is null for files
+ *   without one; calibration is the <file>.calibration.json next to a single file, see
+ *   calibration.js)
+ */
+export async function loadEmbeddings(embPath = 'embeddings.json', { vectorsOnDisk = false } = {}) {
+  const paths = Array.isArray(embPath) ? embPath : [embPath];
+  const parts = [];
+  for (const p of paths) {
+    let rows, dim = null;
+    if (await isBinaryEmbeddings(p)) {
+      ({ rows, dim } = vectorsOnDisk ? await openBinaryEmbeddings(p) : await readBinaryEmbeddings(p));
+    } else if (vectorsOnDisk) {
+      throw new Error(`${p} is not a binary embeddings file; vectors can only stay on disk for .bin files (node embedding-store.js to-bin)`);
+    } else {
+      rows = await fs.readJSON(p);
+    }
+    const manifest = await readManifest(p);
+    verifyManifest(manifest, rows, p, dim);
+    parts.push({ path: p, rows, manifest, dim });
+  }
+  assertCompatibleManifests(parts);
+
+  const arr = parts.flatMap(p => p.rows);
+  // Files without a manifest can still be caught mixing dimensions; a binary file has a
+  // single dimension, so only JSON rows are checked one by one
+  const dim = parts.find(p => p.rows.length)?.rows[0].embedding.length;
+  for (const part of parts) {
+    const bad = part.dim !== null
+      ? part.dim !== dim && part.rows[0]
+      : part.rows.find(r => r.embedding.length !== dim);
+    if (bad) {
+      throw new Error(`Refusing to mix embeddings of dimension ${dim} and ${bad.embedding.length} (id ${bad.id})`);
+    }
+  }
 
-export async function loadEmbeddings(embPath = 'embeddings.json') {
-  const arr = await fs.readJSON(embPath);
   // Simple in-memory map by id for convenience
   const byId = new Map(arr.map(x => [x.id, x]));
-  return { rows: arr, byId };
+  if (byId.size !== arr.length) {
+    throw new Error(`Embeddings files ${paths.join(', ')} contain duplicate ids`);
+  }
+  const manifest = parts.find(p => p.manifest)?.manifest ?? null;
+  // a calibration describes the catalog it was fitted on, so merged files don't get one
+  const calibration = paths.length === 1 ? await readCalibration(paths[0], manifest) : null;
+  return { rows: arr, byId, manifest, calibration, vectorsOnDisk };
 }
 
 /**
- * predictFromImage(imagePath, embeddings, k=5, field='articleType')
- * - returns top-k neighbors and majority vote prediction for `field`
+ * queryProfile(embeddingsObj, model)
+ * - the model profile used to encode queries: an explicit `model` wins, otherwise the
+ *   profile recorded in the embeddings manifest, otherwise the default profile
+ * - queries are encoded with the hub commit the manifest records, when it records one
  */
-export async function predictFromImage(imagePath, embeddingsObj, k = 5, field = 'articleType') {
-  const { rows } = embeddingsObj;
-  // load model & processor
-  const processor = await AutoProcessor.from_pretrained(MODEL_ID);
-  const visionModel = await SiglipVisionModel.from_pretrained(MODEL_ID);
+export function queryProfile(embeddingsObj, model = null) {
+  const { manifest } = embeddingsObj;
+  const profile = resolveModelProfile(model ?? manifest?.model_profile ?? manifest?.model_id ?? DEFAULT_PROFILE);
+  assertQueryModel(manifest, profile.modelId);
+  return manifest?.model_revision ? { ...profile, revision: manifest.model_revision } : profile;
+}
+
+/**
+ * encodeImage(imagePath, profile) -> l2-normalized image embedding (number[])
+ */
+export async function encodeImage(imagePath, profile = DEFAULT_PROFILE) {
+  // model & processor are loaded once per process and reused across queries
+  const { processor, model: visionModel, profile: p } = await getVisionModel(profile);
 
   const rawImage = await RawImage.read(imagePath);
-  const inputs = await processor({ images: rawImage });
+  const inputs = await processor(rawImage);
 
   const result = await visionModel(inputs);
-  const tensor = result.image_embeds ?? result.image_features ?? result.embeddings ?? result.pooler_output;
+  const tensor = selectOutput(result, p.imageOutputKey);
   if (!tensor) throw new Error('No image embedding from model');
-  const arr = Array.from(tensor.data);
-  const q = l2Normalize(arr);
+  return l2Normalize(Array.from(tensor.data));
+}
+
+/**
+ * encodeText(texts, profile) -> one l2-normalized text embedding (number[]) per input string
+ */
+export async function encodeText(texts, profile = DEFAULT_PROFILE) {
+  const { tokenizer, model: textModel, profile: p } = await getTextModel(profile);
+
+  // SigLIP was trained with max_length padding; shorter padding degrades the embedding
+  const inputs = tokenizer(texts, { padding: p.textPadding, truncation: true });
+
+  const result = await textModel(inputs);
+  const tensor = selectOutput(result, p.textOutputKey);
+  if (!tensor) throw new Error('No text embedding from model');
 
-  // compute similarities
-  const sims = rows.map(r => ({ id: r.id, metadata: r.metadata, score: cosineSimilarity(q, r.embedding) }));
-  sims.sort((a, b) => b.score - a.score);
-  const topK = sims.slice(0, k);
+  const dim = tensor.dims[tensor.dims.length - 1];
+  return texts.map((_, i) => l2Normalize(Array.from(tensor.data.subarray(i * dim, (i + 1) * dim))));
+}
+
+/** assertEncodableSpace -> throws unless encoded queries can be searched in `space` */
+function assertEncodableSpace(space) {
+  if (!ENCODABLE_SPACES.includes(space)) {
+    throw new Error(`Image and text queries can only search the ${ENCODABLE_SPACES.join('/')} spaces, not '${space}'; use an id query`);
+  }
+}
 
-  const labels = topK.map(t => t.metadata[field]).filter(Boolean);
-  const vote = labels.length ? majorityVote(labels) : { label: null };
+/**
+ * nearestNeighbors(q, embeddingsObj, k, { space, excludeId, exclude, filter, index, efSearch, nprobe, rerank, diversify })
+ * - top-k [{ id, metadata, score }] by cosine similarity, best first; uses the
+ *   approximate index when one is given, otherwise scans every row
+ * - excludeId / exclude: an id / list of ids never returned (e.g. the query items)
+ * - filter: metadata filter expression (see filter.js); only matching rows are returned
+ * - diversify: true or { lambda, fields, fieldWeight, poolFactor } to re-rank the best
+ *   k * poolFactor neighbors with MMR (see diversify.js); results then carry `mmrScore`
+ */
+export function nearestNeighbors(q, embeddingsObj, k, options = {}) {
+  if (!options.diversify) return searchNeighbors(q, embeddingsObj, k, options);
 
-  return { topK, prediction: vote };
+  const settings = options.diversify === true ? {} : options.diversify;
+  const space = options.space ?? 'image';
+  const poolSize = Math.ceil(k * (settings.poolFactor ?? DEFAULT_MMR.poolFactor));
+  const pool = searchNeighbors(q, embeddingsObj, Math.max(k, poolSize), options)
+    .map(n => ({ ...n, vector: vectorFor(embeddingsObj.byId.get(n.id), space) }));
+  return mmr(pool, k, settings).map(({ vector, ...n }) => n);
+}
+
+/** searchNeighbors -> the plain top-k search behind nearestNeighbors */
+export function searchNeighbors(q, embeddingsObj, k, options = {}) {
+  const { space = 'image', excludeId = null, index = null, efSearch, nprobe, rerank } = options;
+  const matches = compileFilter(options.filter);
+  const excluded = new Set(options.exclude || []);
+  if (excludeId !== null) excluded.add(excludeId);
+
+  if (index) {
+    if (index.space !== space) {
+      throw new Error(`Index was built on the '${index.space}' space, cannot search '${space}' with it`);
+    }
+    const search = { efSearch, nprobe, rerank };
+    if (matches) {
+      search.filter = row => !excluded.has(row.id) && matches(row.metadata);
+    }
+    // without a filter, ask for extra neighbors so dropping the excluded items still leaves k
+    return searchIndex(index, q, matches ? k : k + excluded.size, search)
+      .filter(({ row }) => !excluded.has(row.id))
+      .slice(0, k)
+      .map(({ row, score }) => ({ id: row.id, metadata: row.metadata, score }));
+  }
+
+  return embeddingsObj.rows
+    .filter(r => !excluded.has(r.id) && (!matches || matches(r.metadata)))
+    .map(r => ({ id: r.id, metadata: r.metadata, score: cosineSimilarity(q, vectorFor(r, space)) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
 }
 
 /**
- * predictFromId(id, embeddingsObj, k=5, field='articleType')
+ * rankAndVote -> top-k neighbors of q and a vote over `field`
+ * - options.voting: strategy name or { strategy, temperature, decay } (see utils.js);
+ *   majority by default
+ * - the prediction carries `confidence` (see confidenceOf); below options.abstain its
+ *   label is UNCERTAIN and `abstained` is set
+ */
+export function rankAndVote(q, embeddingsObj, k, field, options = {}) {
+  const topK = nearestNeighbors(q, embeddingsObj, k, options);
+  const prediction = voteField(topK, field, options.voting);
+  const confidence = confidenceOf(prediction, topK, field, embeddingsObj, { ...options, k });
+  if (options.abstain !== undefined && prediction.label !== null && confidence < options.abstain) {
+    return { topK, prediction: { ...prediction, label: UNCERTAIN, confidence, abstained: true } };
+  }
+  return { topK, prediction: { ...prediction, confidence } };
+}
+
+// calibrations already warned about, so a batch doesn't repeat the warning per item
+const mismatchedCalibrations = new WeakSet();
+
+/**
+ * confidenceOf(prediction, topK, field, embeddingsObj, { k, voting, space })
+ * - probability that the prediction's label is right: calibrated when the embeddings carry
+ *   a calibration for `field` fitted with the same k, voting and space, the raw vote share
+ *   otherwise (with a warning when a calibration exists but doesn't match), 0 without a label
+ */
+function confidenceOf(prediction, topK, field, embeddingsObj, setup) {
+  if (prediction.label === null) return 0;
+  const { calibration } = embeddingsObj;
+  const fieldCalibration = calibration?.fields?.[field];
+  if (!fieldCalibration) return prediction.probability;
+  if (!calibrationApplies(calibration, setup)) {
+    if (!mismatchedCalibrations.has(calibration)) {
+      mismatchedCalibrations.add(calibration);
+      console.warn(`Calibration was fitted with k=${calibration.k}, voting ${votingSettings(calibration.voting).strategy} ` +
+        `and space ${calibration.space}; predicting with other settings, so confidence is the raw vote share`);
+    }
+    return prediction.probability;
+  }
+  return calibratedConfidence(fieldCalibration, calibrationFeatures(prediction, topK, field));
+}
+
+/** voteField -> vote over the `field` values of the neighbors that have one */
+function voteField(topK, field, voting) {
+  const voters = topK.filter(t => t.metadata[field]);
+  return vote(voters.map(t => t.metadata[field]), voters.map(t => t.score), voting);
+}
+
+/**
+ * predictFromImage(imagePath, embeddings, k=5, field='articleType', options={})
+ * - returns top-k neighbors and majority vote prediction for `field`
+ * - options.model: model profile to encode the query with (see queryProfile)
+ * - options.space: 'image' (default) or 'text' to match against item text embeddings
+ * - options.index: search an approximate index (see ann-index.js) instead of scanning every
+ *   row; options.efSearch (HNSW) or options.nprobe / options.rerank (IVF) tune the query
+ * - options.filter: metadata filter such as { gender: 'Women', year: { gte: 2015 } }
+ *   (see filter.js); neighbors and the vote only come from matching items
+ * - options.voting: 'majority' (default), 'weighted', 'softmax' or 'rank', or
+ *   { strategy, temperature, decay }; the prediction carries a probability distribution
+ * - options.diversify: true or { lambda=0.7, fields: ['baseColour', ...] } to re-rank the
+ *   neighbors with Maximal Marginal Relevance so they aren't near-duplicates
+ * - options.abstain: confidence threshold below which the prediction's label is
+ *   'uncertain' instead of a guess; the confidence is calibrated when the embeddings
+ *   have a calibration (see fitCalibration), the raw vote share otherwise
+ */
+export async function predictFromImage(imagePath, embeddingsObj, k = 5, field = 'articleType', options = {}) {
+  const space = options.space ?? 'image';
+  assertEncodableSpace(space);
+  const profile = queryProfile(embeddingsObj, options.model);
+  const q = await encodeImage(imagePath, profile);
+  return rankAndVote(q, embeddingsObj, k, field, { ...options, space });
+}
+
+/**
+ * predictFromText(query, embeddings, k=5, field='articleType', options={})
+ * - encodes `query` with the model's text tower, which shares the embedding space
+ *   of the stored image embeddings, and returns the top-k matching items
+ * - options.space: 'image' (default) or 'text' to match against item text embeddings
+ * - options.index etc.: as for predictFromImage
+ */
+export async function predictFromText(query, embeddingsObj, k = 5, field = 'articleType', options = {}) {
+  if (!query || !query.trim()) throw new Error('Text query must be a non-empty string');
+  const space = options.space ?? 'image';
+  assertEncodableSpace(space);
+  const profile = queryProfile(embeddingsObj, options.model);
+  const [q] = await encodeText([query], profile);
+  return { query, ...rankAndVote(q, embeddingsObj, k, field, { ...options, space }) };
+}
+
+/**
+ * predictFromId(id, embeddingsObj, k=5, field='articleType', options={})
  * - uses an existing id in the embeddings DB as query
+ * - options.space: any space the rows carry ('image', 'text', 'attributes', 'fused')
+ * - options.index etc.: as for predictFromImage
  */
-export function predictFromId(id, embeddingsObj, k = 5, field = 'articleType') {
-  const { rows, byId } = embeddingsObj;
+export function predictFromId(id, embeddingsObj, k = 5, field = 'articleType', options = {}) {
+  const { byId } = embeddingsObj;
   const entry = byId.get(id);
   if (!entry) throw new Error(`id ${id} not found in embeddings`);
 
-  const q = entry.embedding;
-  const sims = rows
-    .filter(r => r.id !== id)
-    .map(r => ({ id: r.id, metadata: r.metadata, score: cosineSimilarity(q, r.embedding) }))
-    .sort((a, b) => b.score - a.score);
+  const space = options.space ?? 'image';
+  return rankAndVote(vectorFor(entry, space), embeddingsObj, k, field, { ...options, space, excludeId: id });
+}
+
+/** Catalog fields predicted by predictAttributes when none are given */
+export const ATTRIBUTE_FIELDS = ['gender', 'masterCategory', 'subCategory', 'articleType', 'baseColour', 'season', 'usage'];
 
-  const topK = sims.slice(0, k);
-  const labels = topK.map(t => t.metadata[field]).filter(Boolean);
-  const vote = labels.length ? majorityVote(labels) : { label: null };
-  return { topK, prediction: vote };
+/**
+ * resolveQuery(query, embeddingsObj, options) -> { q, space, excludeId }
+ * - query: { id }, { image: path }, { text } or { vector } (already in the search space)
+ */
+export async function resolveQuery(query, embeddingsObj, options = {}) {
+  const space = options.space ?? 'image';
+  if (query.id !== undefined) {
+    const entry = embeddingsObj.byId.get(query.id);
+    if (!entry) throw new Error(`id ${query.id} not found in embeddings`);
+    return { q: vectorFor(entry, space), space, excludeId: query.id };
+  }
+  if (query.vector) return { q: query.vector, space, excludeId: null };
+
+  assertEncodableSpace(space);
+  const profile = queryProfile(embeddingsObj, options.model);
+  if (query.image) return { q: await encodeImage(query.image, profile), space, excludeId: null };
+  if (query.text && query.text.trim()) {
+    const [q] = await encodeText([query.text], profile);
+    return { q, space, excludeId: null };
+  }
+  throw new Error('Query must be one of { id }, { image }, { text } or { vector }');
+}
+
+// embeddingsObj -> Map(fields key -> taxonomy), learned once per loaded catalog
+const taxonomies = new WeakMap();
+
+function taxonomyFor(embeddingsObj, fields) {
+  if (!taxonomies.has(embeddingsObj)) taxonomies.set(embeddingsObj, new Map());
+  const cache = taxonomies.get(embeddingsObj);
+  const key = fields.join('>');
+  if (!cache.has(key)) cache.set(key, buildTaxonomy(embeddingsObj.rows, fields));
+  return cache.get(key);
+}
+
+/**
+ * predictAttributes(query, embeddingsObj, fields=ATTRIBUTE_FIELDS, k=10, options={})
+ * - predicts every field from a single neighbor search instead of one search per field
+ * - query: { id }, { image: path }, { text } or { vector }
+ * - options: as for predictFromImage (space, index, filter, voting, model, abstain)
+ * - returns { query, topK, attributes: { field: label }, confidence: { field: probability },
+ *   predictions: { field: full vote }, hierarchy }; fields no neighbor has are null with
+ *   confidence 0; confidence is calibrated when the embeddings have a calibration, and
+ *   attributes below options.abstain are 'uncertain'
+ * - when two or more of masterCategory/subCategory/articleType are requested, their labels
+ *   are constrained to a path that exists in the catalog (see taxonomy.js); `hierarchy`
+ *   reports { path, corrected, changes } and `predictions` keep the unconstrained votes.
+ *   options.hierarchy=false turns this off
+ */
+export async function predictAttributes(query, embeddingsObj, fields = ATTRIBUTE_FIELDS, k = 10, options = {}) {
+  const { q, space, excludeId } = await resolveQuery(query, embeddingsObj, options);
+  const topK = nearestNeighbors(q, embeddingsObj, k, { ...options, space, excludeId });
+
+  const predictions = {}, attributes = {}, confidence = {};
+  for (const field of fields) {
+    predictions[field] = voteField(topK, field, options.voting);
+    attributes[field] = predictions[field].label;
+  }
+
+  let hierarchy = null;
+  const hierarchyFields = TAXONOMY_FIELDS.filter(f => fields.includes(f));
+  if (options.hierarchy !== false && hierarchyFields.length >= 2) {
+    hierarchy = constrainToTaxonomy(predictions, taxonomyFor(embeddingsObj, hierarchyFields));
+    for (const { field, to } of hierarchy.changes) attributes[field] = to;
+  }
+
+  for (const field of fields) {
+    const label = attributes[field];
+    const chosen = { label, probability: predictions[field].distribution[label] ?? 0 };
+    confidence[field] = confidenceOf(chosen, topK, field, embeddingsObj, { ...options, space, k });
+    if (options.abstain !== undefined && label !== null && confidence[field] < options.abstain) {
+      attributes[field] = UNCERTAIN;
+    }
+  }
+  return { query, topK, attributes, confidence, predictions, hierarchy };
+}
+
+/** parseQueryArg -> CLI query: 'id:<id>', 'text:<query>' or an image path */
+function parseQueryArg(arg) {
+  if (arg.startsWith('id:')) return { id: arg.slice(3) };
+  if (arg.startsWith('text:')) return { text: arg.slice(5) };
+  return { image: arg };
 }
 
 // CLI example
-if (process.argv[1].endsWith('predictor.js')) {
+if (isMainThread && process.argv[1].endsWith('predictor.js')) {
   (async () => {
-    const [, , cmd, arg1, arg2, arg3] = process.argv;
-    const emb = await loadEmbeddings(arg3 || 'embeddings.json');
+    const args = process.argv.slice(2);
+    const takeOption = (name, parse) => {
+      const idx = args.indexOf(name);
+      return idx >= 0 ? parse(args.splice(idx, 2)[1]) : undefined;
+    };
+    const model = takeOption('--model', v => v) ?? null;
+    const spaceArg = takeOption('--space', v => v);
+    const indexPath = takeOption('--index', v => v);
+    const efSearch = takeOption('--ef-search', Number);
+    const nprobe = takeOption('--nprobe', Number);
+    const rerank = takeOption('--rerank', Number);
+    const filter = takeOption('--filter', parseFilterArg);
+    const voting = {
+      strategy: takeOption('--vote', v => v),
+      temperature: takeOption('--temperature', Number),
+      decay: takeOption('--decay', Number)
+    };
+    const fields = takeOption('--fields', v => v.split(',').map(f => f.trim()));
+    const labels = takeOption('--labels', v => v.split(',').map(l => l.trim()).filter(Boolean));
+    const templates = takeOption('--template', v => v);
+    const zeroShotField = takeOption('--field', v => v);
+    const zeroShotTemperature = takeOption('--zs-temperature', Number);
+    const mmrLambda = takeOption('--mmr', Number);
+    const diversityFields = takeOption('--diversity-fields', v => v.split(',').map(f => f.trim()));
+    const slots = takeOption('--slots', v => v.split(',').map(s => s.trim()));
+    const aggregate = takeOption('--aggregate', v => v);
+    const more = takeOption('--more', v => v.split(',').map(id => id.trim()));
+    const less = takeOption('--less', v => v.split(',').map(id => id.trim()));
+    const interactionsPath = takeOption('--interactions', v => v);
+    const eventWeights = takeOption('--event-weights', parseEventWeights);
+    const halfLifeDays = takeOption('--half-life', Number);
+    const blend = takeOption('--blend', parseBlend);
+    const outPath = takeOption('--out', v => v) ?? null;
+    const format = takeOption('--format', v => v) ?? null;
+    const abstain = takeOption('--abstain', Number);
+    const vectorsOnDisk = args.includes('--vectors-on-disk');
+    if (vectorsOnDisk) args.splice(args.indexOf('--vectors-on-disk'), 1);
+    const hierarchy = !args.includes('--no-hierarchy');
+    if (!hierarchy) args.splice(args.indexOf('--no-hierarchy'), 1);
+    const [cmd, arg1, arg2, arg3] = args;
+    const emb = await loadEmbeddings(arg3 || 'embeddings.json', { vectorsOnDisk });
+    const index = indexPath ? await loadIndex(indexPath, emb) : null;
+    // without --space, search the space the index was built on
+    const space = spaceArg ?? index?.space;
+    const diversify = mmrLambda !== undefined || diversityFields
+      ? { lambda: mmrLambda ?? DEFAULT_MMR.lambda, fields: diversityFields ?? [] }
+      : null;
+    const options = { space, filter, index, efSearch, nprobe, rerank, voting, diversify, abstain };
     if (cmd === 'image') {
-      const res = await predictFromImage(arg1, emb, Number(arg2) || 5, 'articleType');
+      const res = await predictFromImage(arg1, emb, Number(arg2) || 5, 'articleType', { model, ...options });
+      console.log(JSON.stringify(res, null, 2));
+    } else if (cmd === 'text') {
+      const res = await predictFromText(arg1, emb, Number(arg2) || 5, 'articleType', { model, ...options });
       console.log(JSON.stringify(res, null, 2));
     } else if (cmd === 'id') {
-      const res = predictFromId(arg1, emb, Number(arg2) || 5, 'articleType');
+      const res = predictFromId(arg1, emb, Number(arg2) || 5, 'articleType', options);
+      console.log(JSON.stringify(res, null, 2));
+    } else if (cmd === 'zeroshot') {
+      const { scores, ...res } = await predictZeroShot(parseQueryArg(arg1), emb, {
+        model,
+        labels,
+        field: zeroShotField,
+        templates,
+        temperature: zeroShotTemperature
+      });
+      const top = Object.entries(res.distribution).sort((a, b) => b[1] - a[1]).slice(0, Number(arg2) || 5);
+      console.log(JSON.stringify({ ...res, distribution: Object.fromEntries(top) }, null, 2));
+    } else if (cmd === 'feedback') {
+      const res = await predictWithFeedback(parseQueryArg(arg1), emb, { positive: more, negative: less }, Number(arg2) || 5, 'articleType', { model, ...options });
+      console.log(JSON.stringify(res, null, 2));
+    } else if (cmd === 'user') {
+      if (!interactionsPath) throw new Error('The user command needs --interactions <log.jsonl>');
+      const interactions = await loadInteractions(interactionsPath);
+      if (interactions.skipped) console.error(`Skipped ${interactions.skipped} invalid lines in ${interactionsPath}`);
+      const res = recommendForUser(arg1, emb, interactions, Number(arg2) || 10, { ...options, weights: eventWeights, halfLifeDays });
+      console.log(JSON.stringify(res, null, 2));
+    } else if (cmd === 'hybrid') {
+      if (!interactionsPath) throw new Error('The hybrid command needs --interactions <log.jsonl>');
+      const interactions = await loadInteractions(interactionsPath);
+      if (interactions.skipped) console.error(`Skipped ${interactions.skipped} invalid lines in ${interactionsPath}`);
+      const cooccurrence = buildCooccurrence(interactions, { weights: eventWeights });
+      const res = await recommendHybrid(parseQueryArg(arg1), emb, cooccurrence, Number(arg2) || 10, { model, ...options, blend });
+      console.log(JSON.stringify(res, null, 2));
+    } else if (cmd === 'items') {
+      // id:<id>[@weight] or <imagePath>[@weight], comma-separated
+      const items = arg1.split(',').map(spec => {
+        const [ref, weight] = spec.split('@');
+        return { ...parseQueryArg(ref), weight: weight ? Number(weight) : 1 };
+      });
+      const res = await recommendFromItems(items, emb, Number(arg2) || 10, { model, ...options, aggregate });
+      console.log(JSON.stringify(res, null, 2));
+    } else if (cmd === 'look') {
+      const res = await completeTheLook(parseQueryArg(arg1), emb, { model, ...options, slots, perSlot: Number(arg2) || 3 });
       console.log(JSON.stringify(res, null, 2));
+    } else if (cmd === 'attributes') {
+      const query = parseQueryArg(arg1);
+      const res = await predictAttributes(query, emb, fields, Number(arg2) || 10, { model, hierarchy, ...options });
+      console.log(JSON.stringify(attributeRecord(query, res), null, 2));
+    } else if (cmd === 'batch') {
+      const images = await listImages(arg1);
+      const batchFields = fields ?? ATTRIBUTE_FIELDS;
+      const writer = createBatchWriter(outPath, batchFields, format);
+      // progress goes to stderr so stdout stays clean JSONL/CSV
+      const report = (done, failed, final = false) => {
+        const line = `Predicted ${done}/${images.length} images (${failed} failed)`;
+        if (process.stderr.isTTY) process.stderr.write(`\r${line}${final ? '\n' : ''}`);
+        else if (final ? done % 100 !== 0 : done % 100 === 0) console.error(line);
+      };
+      let done = 0, failed = 0;
+      for await (const record of predictBatch(images, emb, batchFields, Number(arg2) || 10, { model, hierarchy, ...options })) {
+        if (record.error) failed++;
+        await writer.write(record);
+        report(++done, failed);
+      }
+      await writer.close();
+      report(done, failed, true);
     } else {
-      console.log('Usage: node predictor.js image <imagePath> [k] [embeddings.json]\n       node predictor.js id <id> [k] [embeddings.json]');
+      console.log('Usage: node predictor.js image <imagePath> [k] [embeddings.json] [--model <profile>] [--space image|text]\n       node predictor.js text "<query>" [k] [embeddings.json] [--model <profile>] [--space image|text]\n       node predictor.js id <id> [k] [embeddings.json] [--space image|text|attributes|fused]\n       node predictor.js attributes <imagePath|id:<id>|text:<query>> [k] [embeddings.json] [--fields gender,articleType,...] [--no-hierarchy]\n       node predictor.js batch <imagesDir|"photos/**/*.jpg"> [k] [embeddings.json] [--fields ...] [--out results.jsonl|results.csv] [--format jsonl|csv]\n       node predictor.js zeroshot <imagePath|id:<id>> [top] [embeddings.json] [--labels "a,b,c" | --field articleType] [--template "a photo of a {label}"] [--zs-temperature 0.01]\n       node predictor.js feedback <imagePath|id:<id>|text:<query>> [k] [embeddings.json] [--more id1,id2] [--less id3]\n       node predictor.js items <id:<id>[@weight],<imagePath>[@weight],...> [k] [embeddings.json] [--aggregate centroid|maxsim|round-robin]\n       node predictor.js user <userId> [k] [embeddings.json] --interactions <log.jsonl> [--event-weights view=1,add_to_cart=3,purchase=5] [--half-life 14]\n       node predictor.js hybrid <imagePath|id:<id>> [k] [embeddings.json] --interactions <log.jsonl> [--blend content=0.7,collaborative=0.3]\n       node predictor.js look <imagePath|id:<id>> [perSlot] [embeddings.json] [--slots footwear,bottomwear,bags]\n       (any command: --mmr 0.7 [--diversity-fields baseColour,articleType] to diversify the neighbors,\n        --vote majority|weighted|softmax|rank [--temperature 0.05] [--decay 0.8],\n        --abstain 0.6 to answer "uncertain" below that confidence (calibrated once calibration.js has been run),\n        --filter \'gender=Women,season=Summer|Spring,year>=2015\' or JSON to restrict the catalog,\n        --index <index.json> [--ef-search 50 | --nprobe 8 --rerank 50] to search an ANN index instead of every row,\n        --vectors-on-disk with a .bin file and an IVF index with PQ codes to keep only ids, metadata and codes in memory)');
     }
+    await disposeModels();
   })().catch(e => { console.error(e); process.exit(1); });
 }
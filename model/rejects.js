@@ -0,0 +1,70 @@
+// rejects.js - Structured report of catalog rows the embedder had to skip
+
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Reason codes attached to skipped rows
+ */
+export const REJECT_REASONS = {
+  IMAGE_MISSING: 'image_missing',           // no <id>.jpg in the images directory
+  DECODE_FAILED: 'decode_failed',           // file exists but could not be decoded
+  LOAD_FAILED: 'load_failed',               // decoder returned nothing
+  INVALID_SIZE: 'invalid_size',             // decoded image has no usable width/height
+  PROCESSOR_FAILED: 'processor_failed',     // the image processor threw
+  PROCESSOR_INVALID: 'processor_invalid',   // the image processor returned no inputs
+  INFERENCE_FAILED: 'inference_failed',     // the model call failed or returned no embedding
+  TEXT_FAILED: 'text_failed'                // fusion only: the item text could not be embedded
+};
+
+const CSV_COLUMNS = ['id', 'reason', 'message', 'path'];
+
+/** rejectsPathFor('out/embeddings.json') -> 'out/embeddings.rejects.jsonl' */
+export function rejectsPathFor(embPath) {
+  const { dir, name } = path.parse(embPath);
+  return path.join(dir, `${name}.rejects.jsonl`);
+}
+
+/** summarizeRejects -> { total, by_reason: { reason: count } }, most frequent reason first */
+export function summarizeRejects(rejects) {
+  const counts = {};
+  for (const r of rejects) counts[r.reason] = (counts[r.reason] || 0) + 1;
+  const byReason = Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+  return { total: rejects.length, by_reason: byReason };
+}
+
+/** csvField -> value quoted for a CSV cell when it contains a quote, comma or newline */
+export function csvField(value) {
+  const s = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * writeRejectsReport(rejects, reportPath)
+ * - rejects: [{ id, reason, message, path }]
+ * - writes JSONL, or CSV when reportPath ends with .csv
+ */
+export async function writeRejectsReport(rejects, reportPath) {
+  let text;
+  if (path.extname(reportPath) === '.csv') {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const r of rejects) lines.push(CSV_COLUMNS.map(c => csvField(r[c])).join(','));
+    text = lines.join('\n') + '\n';
+  } else {
+    text = rejects.map(r => JSON.stringify(r)).join('\n') + (rejects.length ? '\n' : '');
+  }
+
+  await fs.ensureDir(path.dirname(path.resolve(reportPath)));
+  await fs.writeFile(reportPath, text);
+  return reportPath;
+}
+
+/** formatRejectsSummary -> printable per-reason breakdown */
+export function formatRejectsSummary(summary) {
+  if (summary.total === 0) return 'No rows were skipped.';
+  const lines = [`Skipped ${summary.total} rows:`];
+  for (const [reason, count] of Object.entries(summary.by_reason)) {
+    lines.push(`  ${reason.padEnd(20)} ${count}`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,80 @@
+// taxonomy.js - Category hierarchy learned from catalog metadata
+//
+// The catalog's category fields form a tree (masterCategory > subCategory > articleType),
+// e.g. Apparel > Topwear > Tshirts. Voting each field independently can produce paths that
+// don't exist (Footwear > Topwear > Tshirts); this module picks the most probable path that
+// does occur in the catalog instead.
+
+export const TAXONOMY_FIELDS = ['masterCategory', 'subCategory', 'articleType'];
+
+// probability assumed for a label that got no votes, so a path through it scores low
+// but is still comparable with other paths
+const UNVOTED_PROBABILITY = 1e-3;
+
+/**
+ * buildTaxonomy(rows, fields=TAXONOMY_FIELDS)
+ * - { fields, paths: [{ path: [label per field], count }] } for every combination of the
+ *   fields seen in the catalog (rows missing any of them are ignored), most common first
+ */
+export function buildTaxonomy(rows, fields = TAXONOMY_FIELDS) {
+  const counts = new Map();
+  for (const row of rows) {
+    const metadata = row.metadata || row;
+    const path = fields.map(f => metadata[f]);
+    if (path.some(v => !v)) continue;
+    const key = JSON.stringify(path);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const paths = [...counts.entries()]
+    .map(([key, count]) => ({ path: JSON.parse(key), count }))
+    .sort((a, b) => b.count - a.count);
+  return { fields, paths };
+}
+
+/** isValidPath(taxonomy, labels) -> true if the labels (one per taxonomy field) occur in the catalog */
+export function isValidPath(taxonomy, labels) {
+  return taxonomy.paths.some(({ path }) => path.every((v, i) => v === labels[i]));
+}
+
+/**
+ * constrainToTaxonomy(predictions, taxonomy)
+ * - predictions: { field: { label, distribution } } votes (see utils.js) for the
+ *   taxonomy's fields
+ * - returns { path: { field: label }, score, corrected, changes: [{ field, from, to }] }
+ *   where path is the catalog path maximizing the product of per-field probabilities;
+ *   corrected is true when it differs from the independent per-field winners
+ */
+export function constrainToTaxonomy(predictions, taxonomy) {
+  const { fields } = taxonomy;
+  const independent = fields.map(f => predictions[f]?.label ?? null);
+  const unchanged = () => ({
+    path: Object.fromEntries(fields.map((f, i) => [f, independent[i]])),
+    score: fields.reduce((p, f, i) => p * (predictions[f]?.distribution?.[independent[i]] ?? 0), 1),
+    corrected: false,
+    changes: []
+  });
+  // a valid independent path already maximizes every factor; nothing voted, nothing to fix
+  if (isValidPath(taxonomy, independent) || independent.every(l => l === null)) return unchanged();
+
+  let best = null;
+  for (const { path } of taxonomy.paths) {
+    let score = 0;
+    fields.forEach((f, i) => {
+      score += Math.log(predictions[f]?.distribution?.[path[i]] || UNVOTED_PROBABILITY);
+    });
+    // paths are sorted by frequency, so ties go to the more common path
+    if (!best || score > best.score) best = { path, score };
+  }
+  if (!best) return unchanged();
+
+  const changes = fields
+    .map((field, i) => ({ field, from: independent[i], to: best.path[i] }))
+    .filter(c => c.from !== c.to);
+  return {
+    path: Object.fromEntries(fields.map((f, i) => [f, best.path[i]])),
+    score: Math.exp(best.score),
+    corrected: changes.length > 0,
+    changes
+  };
+}
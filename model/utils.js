@@ -16,12 +16,104 @@ export function cosineSimilarity(a, b) {
   return dot(a, b);
 }
 
+/** seededRandom(seed) -> deterministic uniform [0, 1) generator (mulberry32) */
+export function seededRandom(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x6D2B79F5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Voting strategies for k-NN label prediction. Each takes the neighbors' labels in rank
+ * order (best first) with their similarity scores and returns
+ *   { label, count, counts, probability, distribution }
+ * where `distribution` maps every label to its share of the total weight (summing to 1),
+ * `probability` is the winner's share and `count`/`counts` are the plain neighbor counts.
+ * Ties go to the label that appears first, i.e. the better-ranked one.
+ */
+export const VOTING_STRATEGIES = ['majority', 'weighted', 'softmax', 'rank'];
+
+/** tallyVotes -> shared core: accumulates one weight per neighbor into a distribution */
+function tallyVotes(labels, weights) {
+  // Maps keep first-seen order (plain objects would move integer-like labels first)
+  const totals = new Map();
+  const counts = new Map();
+  labels.forEach((label, i) => {
+    totals.set(label, (totals.get(label) || 0) + weights[i]);
+    counts.set(label, (counts.get(label) || 0) + 1);
+  });
+
+  const sum = [...totals.values()].reduce((s, w) => s + w, 0);
+  const ranked = [...totals.entries()]
+    .map(([label, w]) => [label, sum > 0 ? w / sum : 1 / totals.size])
+    .sort((a, b) => b[1] - a[1]); // stable: equal shares keep rank order
+
+  if (!ranked.length) return { label: null, count: 0, counts: {}, probability: 0, distribution: {} };
+  const [label, probability] = ranked[0];
+  return {
+    label,
+    count: counts.get(label),
+    counts: Object.fromEntries(counts),
+    probability,
+    distribution: Object.fromEntries(ranked)
+  };
+}
+
+/** majorityVote(labels) -> every neighbor counts the same */
 export function majorityVote(items) {
-  const counts = {};
-  for (const it of items) counts[it] = (counts[it] || 0) + 1;
-  let maxK = null, maxV = -1;
-  for (const k of Object.keys(counts)) {
-    if (counts[k] > maxV) { maxV = counts[k]; maxK = k; }
+  return tallyVotes(items, items.map(() => 1));
+}
+
+/** weightedVote(labels, scores) -> each neighbor weighs its (non-negative) similarity */
+export function weightedVote(items, scores) {
+  return tallyVotes(items, scores.map(s => Math.max(s, 0)));
+}
+
+/**
+ * softmaxVote(labels, scores, temperature=0.05)
+ * - weights exp(score / temperature); small temperatures approach "nearest neighbor
+ *   wins", large ones approach a plain majority vote
+ */
+export function softmaxVote(items, scores, temperature = 0.05) {
+  if (!(temperature > 0)) throw new Error(`Softmax temperature must be positive, got ${temperature}`);
+  const max = Math.max(...scores);
+  return tallyVotes(items, scores.map(s => Math.exp((s - max) / temperature)));
+}
+
+/** rankDecayVote(labels, decay=0.8) -> the neighbor at rank r (0-based) weighs decay^r */
+export function rankDecayVote(items, decay = 0.8) {
+  if (!(decay > 0 && decay <= 1)) throw new Error(`Rank decay must be in (0, 1], got ${decay}`);
+  return tallyVotes(items, items.map((_, rank) => decay ** rank));
+}
+
+/**
+ * votingSettings(options) -> { strategy, temperature | decay } as vote() applies them, with
+ * defaults filled in and unused parameters dropped, so two voting setups can be compared
+ */
+export function votingSettings(options = {}) {
+  const { strategy = 'majority', temperature = 0.05, decay = 0.8 } = typeof options === 'string' ? { strategy: options } : options ?? {};
+  if (strategy === 'softmax') return { strategy, temperature };
+  if (strategy === 'rank') return { strategy, decay };
+  return { strategy };
+}
+
+/**
+ * vote(labels, scores, { strategy='majority', temperature, decay })
+ * - dispatches to one of VOTING_STRATEGIES; `options` may also be just the strategy name
+ */
+export function vote(items, scores, options = {}) {
+  const { strategy = 'majority', temperature, decay } = typeof options === 'string' ? { strategy: options } : options;
+  switch (strategy) {
+    case 'majority': return majorityVote(items);
+    case 'weighted': return weightedVote(items, scores);
+    case 'softmax': return softmaxVote(items, scores, temperature);
+    case 'rank': return rankDecayVote(items, decay);
+    default:
+      throw new Error(`Unknown voting strategy: ${strategy}. Available: ${VOTING_STRATEGIES.join(', ')}`);
   }
-  return { label: maxK, count: maxV, counts };
 }
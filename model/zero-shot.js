@@ -0,0 +1,123 @@
+// zero-shot.js - Prompt building and scoring for zero-shot classification
+//
+// Instead of voting over neighbors, the image embedding is compared with text embeddings
+// of prompts such as "a photo of a {label}", so labels no catalog item carries yet can
+// still be predicted. Prompt embeddings are cached per label set, so repeated calls only
+// pay for the query.
+
+import { dot, l2Normalize } from './utils.js';
+import { queryProfile, encodeText, resolveQuery } from './predictor.js';
+
+export const DEFAULT_TEMPLATES = ['a photo of a {label}'];
+
+// softmax temperature over cosine similarities; 0.01 matches the ~100x logit scale
+// CLIP-style models are trained with
+export const DEFAULT_ZERO_SHOT_TEMPERATURE = 0.01;
+
+/** catalogLabels(rows, field) -> distinct non-empty values of `field`, sorted */
+export function catalogLabels(rows, field) {
+  const labels = new Set();
+  for (const row of rows) {
+    const value = row.metadata?.[field];
+    if (value) labels.add(value);
+  }
+  return [...labels].sort();
+}
+
+/**
+ * buildPrompts(labels, templates=DEFAULT_TEMPLATES)
+ * - [{ label, prompts: [text per template] }]; templates must contain '{label}'
+ */
+export function buildPrompts(labels, templates = DEFAULT_TEMPLATES) {
+  const list = Array.isArray(templates) ? templates : [templates];
+  for (const t of list) {
+    if (!t.includes('{label}')) throw new Error(`Prompt template must contain {label}: "${t}"`);
+  }
+  return labels.map(label => ({ label, prompts: list.map(t => t.replaceAll('{label}', label)) }));
+}
+
+/**
+ * scoreLabels(imageVec, labelVecs, temperature)
+ * - labelVecs: [{ label, vector }] (l2-normalized, one per label)
+ * - returns { label, probability, distribution, scores } where scores are the raw cosine
+ *   similarities and distribution the softmax over them (same shape as a k-NN vote)
+ */
+export function scoreLabels(imageVec, labelVecs, temperature = DEFAULT_ZERO_SHOT_TEMPERATURE) {
+  if (!(temperature > 0)) throw new Error(`Zero-shot temperature must be positive, got ${temperature}`);
+  if (!labelVecs.length) return { label: null, probability: 0, distribution: {}, scores: {} };
+
+  const scored = labelVecs.map(({ label, vector }) => ({ label, score: dot(imageVec, vector) }));
+  const max = Math.max(...scored.map(s => s.score));
+  const weights = scored.map(s => Math.exp((s.score - max) / temperature));
+  const total = weights.reduce((a, b) => a + b, 0);
+
+  const ranked = scored
+    .map((s, i) => ({ ...s, probability: weights[i] / total }))
+    .sort((a, b) => b.probability - a.probability);
+  return {
+    label: ranked[0].label,
+    probability: ranked[0].probability,
+    distribution: Object.fromEntries(ranked.map(r => [r.label, r.probability])),
+    scores: Object.fromEntries(ranked.map(r => [r.label, r.score]))
+  };
+}
+
+// prompts are encoded in chunks to bound the text model's batch size
+const PROMPT_BATCH = 32;
+
+// model + templates + labels -> Promise<[{ label, vector }]>, so repeated zero-shot calls
+// with the same label set encode their prompts only once
+const labelEmbeddings = new Map();
+
+/** encodeLabels -> one l2-normalized text vector per label, averaged over its prompts */
+function encodeLabels(labels, templates, profile) {
+  const key = JSON.stringify([profile.modelId, profile.dtype ?? null, templates, labels]);
+  if (!labelEmbeddings.has(key)) {
+    const pending = (async () => {
+      const prompts = buildPrompts(labels, templates);
+      const texts = prompts.flatMap(p => p.prompts);
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += PROMPT_BATCH) {
+        vectors.push(...await encodeText(texts.slice(i, i + PROMPT_BATCH), profile));
+      }
+
+      const perLabel = prompts[0]?.prompts.length ?? 0;
+      return prompts.map(({ label }, i) => {
+        const sum = new Array(vectors[0].length).fill(0);
+        for (const v of vectors.slice(i * perLabel, (i + 1) * perLabel)) {
+          v.forEach((x, d) => { sum[d] += x; });
+        }
+        return { label, vector: l2Normalize(sum) };
+      });
+    })().catch(err => {
+      labelEmbeddings.delete(key);
+      throw err;
+    });
+    labelEmbeddings.set(key, pending);
+  }
+  return labelEmbeddings.get(key);
+}
+
+/**
+ * predictZeroShot(query, embeddingsObj, options={})
+ * - scores the query image against text prompts for each candidate label, so labels
+ *   without any catalog examples can be predicted
+ * - query: { image: path }, { id } (uses the item's stored image embedding) or { vector }
+ * - options.labels: candidate labels; otherwise the distinct values of options.field
+ *   (default 'articleType') in the catalog
+ * - options.templates: prompt template(s) containing {label} (default "a photo of a {label}");
+ *   several templates are averaged per label
+ * - options.temperature: softmax temperature over the cosine scores (see scoreLabels)
+ * - returns { query, field, label, probability, distribution, scores }
+ */
+export async function predictZeroShot(query, embeddingsObj, options = {}) {
+  if (query.text) throw new Error('Zero-shot classification needs an image query ({ image }, { id } or { vector })');
+  const field = options.field ?? 'articleType';
+  const labels = options.labels ?? catalogLabels(embeddingsObj.rows, field);
+  if (!labels.length) throw new Error(`No candidate labels: pass options.labels or use a field the catalog has (${field})`);
+
+  const profile = queryProfile(embeddingsObj, options.model);
+  const { q } = await resolveQuery(query, embeddingsObj, { model: options.model, space: 'image' });
+  const labelVecs = await encodeLabels(labels, options.templates ?? DEFAULT_TEMPLATES, profile);
+  return { query, field: options.labels ? null : field, ...scoreLabels(q, labelVecs, options.temperature) };
+}